@@ -0,0 +1,369 @@
+#!/usr/bin/env node
+/**
+ * aion-keystore, command line interface over Accounts
+ *
+ * Passwords and private keys are never taken from arguments, since those
+ * end up in shell history and process listings. They are read from an
+ * environment variable, a file, or an interactive prompt.
+ */
+
+const fs = require('fs');
+const readline = require('readline');
+const Writable = require('stream').Writable;
+const _ = require('underscore');
+
+const Accounts = require('../src/index');
+const { prependZeroX } = require('../src/accounts-format');
+
+const USAGE = `Usage: aion-keystore <command> [options]
+
+Commands:
+  create                 create a new account
+  address                print the address and public key of a private key
+  encrypt                encrypt a private key to a keystore file
+  decrypt <keystore>     decrypt a keystore and print the account
+  inspect <keystore>     print keystore fields without decrypting
+  convert <keystore>     convert a keystore between JSON and RLP
+  sign <tx.json>         sign a transaction read from a JSON file
+  decode <rawTx>         decode a signed raw transaction (hex, or --file)
+  serve-signer           answer remote signer requests on stdin and stdout,
+                         or on --socket
+
+Private key options (address, encrypt, sign, serve-signer):
+  --keystore FILE        decrypt the key from a keystore file
+  --key-file FILE        read the private key from a file
+  --key-env VAR          read the private key from an environment variable
+
+Password options (prompted for when neither is given):
+  --password-file FILE   read the password from a file
+  --password-env VAR     read the password from an environment variable
+
+Other options:
+  --out FILE             write the keystore to FILE (create, encrypt, convert)
+  --format json|rlp      keystore encoding written by --out, defaults to rlp
+  --kernel               use the kernel scrypt strength (N=262144) when encrypting
+  --show-private-key     include the private key in decrypt output
+  --file FILE            read the raw transaction from a file (decode)
+  --socket PATH          serve on a unix socket only the owner can use (serve-signer)
+  --json                 print JSON instead of text
+  --help                 print this message
+`;
+
+const BOOLEAN_FLAGS = ['json', 'kernel', 'show-private-key', 'help'];
+const VALUE_FLAGS = [
+    'keystore', 'key-file', 'key-env',
+    'password-file', 'password-env',
+    'out', 'format', 'file', 'socket'
+];
+
+/**
+ * Splits argv into a command, positional arguments and flags
+ * @param {array} argv process.argv.slice(2)
+ * @return {object} {command, args, flags}
+ */
+const parseArgs = (argv) => {
+    const args = [];
+    const flags = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg.indexOf('--') !== 0) {
+            args.push(arg);
+            continue;
+        }
+
+        const eq = arg.indexOf('=');
+        const name = eq === -1 ? arg.slice(2) : arg.slice(2, eq);
+
+        if (name === 'password') {
+            throw new Error('--password is not accepted, use --password-env, --password-file or the prompt');
+        }
+        if (name === 'private-key') {
+            throw new Error('--private-key is not accepted, use --key-env, --key-file or --keystore');
+        }
+
+        if (_.contains(BOOLEAN_FLAGS, name)) {
+            flags[name] = true;
+        } else if (_.contains(VALUE_FLAGS, name)) {
+            const value = eq === -1 ? argv[++i] : arg.slice(eq + 1);
+            if (value === undefined) {
+                throw new Error('--' + name + ' requires a value');
+            }
+            flags[name] = value;
+        } else {
+            throw new Error('Unknown option --' + name);
+        }
+    }
+
+    return { command: args.shift(), args: args, flags: flags };
+};
+
+/**
+ * Reads a line from stdin, without echo when stdin is a terminal
+ */
+const prompt = (question) => new Promise((resolve) => {
+    let muted = false;
+    const output = new Writable({
+        write: (chunk, encoding, callback) => {
+            if (!muted) {
+                process.stderr.write(chunk, encoding);
+            }
+            callback();
+        }
+    });
+
+    const rl = readline.createInterface({
+        input: process.stdin,
+        output: output,
+        terminal: process.stdin.isTTY === true
+    });
+
+    rl.question(question, (answer) => {
+        rl.close();
+        if (muted) {
+            process.stderr.write('\n');
+        }
+        resolve(answer);
+    });
+    muted = process.stdin.isTTY === true;
+});
+
+const stripNewline = (val) => val.replace(/\r?\n$/, '');
+
+const readEnv = (name) => {
+    if (process.env[name] === undefined) {
+        throw new Error('Environment variable ' + name + ' is not set');
+    }
+    return process.env[name];
+};
+
+/**
+ * @param {object} flags
+ * @param {boolean} confirm ask twice when prompting for a new password
+ * @return {Promise<string>}
+ */
+const readPassword = (flags, confirm) => {
+    if (flags['password-env']) {
+        return Promise.resolve(readEnv(flags['password-env']));
+    }
+    if (flags['password-file']) {
+        return Promise.resolve(stripNewline(fs.readFileSync(flags['password-file'], 'utf8')));
+    }
+
+    return prompt('Password: ').then((password) => {
+        if (!confirm || process.stdin.isTTY !== true) {
+            return password;
+        }
+        return prompt('Repeat password: ').then((repeated) => {
+            if (repeated !== password) {
+                throw new Error('Passwords do not match');
+            }
+            return password;
+        });
+    });
+};
+
+const readKeystore = (file) => Accounts.KeystoreDir.parseKeystoreFile(fs.readFileSync(file));
+
+/**
+ * Loads the account selected by the private key options
+ * @return {Promise<object>} account
+ */
+const readAccount = (accs, flags) => {
+    if (flags['keystore']) {
+        const keystore = readKeystore(flags['keystore']).keystore;
+        return readPassword(flags, false).then((password) => accs.decrypt(keystore, password));
+    }
+    if (flags['key-env']) {
+        return Promise.resolve(accs.privateKeyToAccount(readEnv(flags['key-env']).trim()));
+    }
+    if (flags['key-file']) {
+        return Promise.resolve(accs.privateKeyToAccount(fs.readFileSync(flags['key-file'], 'utf8').trim()));
+    }
+    return Promise.reject(new Error('No private key given, use --keystore, --key-file or --key-env'));
+};
+
+const encodeKeystore = (keystore, format) => {
+    format = format || 'rlp';
+    if (format === 'rlp') {
+        return Accounts.toRlp(keystore);
+    }
+    if (format === 'json') {
+        return JSON.stringify(keystore, null, 2) + '\n';
+    }
+    throw new Error('Unsupported keystore format "' + format + '"');
+};
+
+/**
+ * Encrypts an account and writes it to --out
+ * @return {Promise<string>} path written
+ */
+const writeKeystore = (accs, account, flags) => {
+    return readPassword(flags, true).then((password) => {
+        const keystore = accs.encrypt(account.privateKey, password, {}, !flags['kernel']);
+        fs.writeFileSync(flags['out'], encodeKeystore(keystore, flags['format']), { mode: 0o600, flag: 'wx' });
+        return flags['out'];
+    });
+};
+
+const requireArg = (args, name) => {
+    if (args[0] === undefined) {
+        throw new Error('Missing argument <' + name + '>');
+    }
+    return args[0];
+};
+
+const commands = {
+    create: (accs, args, flags) => {
+        const account = accs.create();
+        const result = { address: account.address, publicKey: account.publicKey };
+
+        if (!flags['out']) {
+            result.privateKey = account.privateKey;
+            return result;
+        }
+
+        return writeKeystore(accs, account, flags).then((file) => _.extend(result, { keystore: file }));
+    },
+
+    address: (accs, args, flags) => readAccount(accs, flags).then((account) => ({
+        address: account.address,
+        publicKey: account.publicKey
+    })),
+
+    encrypt: (accs, args, flags) => {
+        if (!flags['out']) {
+            throw new Error('encrypt requires --out FILE');
+        }
+
+        return readAccount(accs, flags).then((account) => {
+            return writeKeystore(accs, account, flags).then((file) => ({
+                address: account.address,
+                keystore: file
+            }));
+        });
+    },
+
+    decrypt: (accs, args, flags) => {
+        const keystore = readKeystore(requireArg(args, 'keystore')).keystore;
+
+        return readPassword(flags, false).then((password) => {
+            const account = accs.decrypt(keystore, password);
+            const result = {
+                address: account.address,
+                publicKey: account.publicKey,
+                id: keystore.id
+            };
+            if (flags['show-private-key']) {
+                result.privateKey = account.privateKey;
+            }
+            return result;
+        });
+    },
+
+    inspect: (accs, args) => {
+        const parsed = readKeystore(requireArg(args, 'keystore'));
+        const keystore = parsed.keystore;
+        const kdfparams = keystore.crypto.kdfparams;
+
+        return {
+            format: parsed.format,
+            version: keystore.version,
+            id: keystore.id,
+            address: prependZeroX(keystore.address),
+            cipher: keystore.crypto.cipher,
+            kdf: keystore.crypto.kdf,
+            kdfparams: 'n=' + kdfparams.n + ' r=' + kdfparams.r + ' p=' + kdfparams.p + ' dklen=' + kdfparams.dklen
+        };
+    },
+
+    convert: (accs, args, flags) => {
+        if (!flags['out'] || !flags['format']) {
+            throw new Error('convert requires --out FILE and --format json|rlp');
+        }
+
+        const parsed = readKeystore(requireArg(args, 'keystore'));
+        fs.writeFileSync(flags['out'], encodeKeystore(parsed.keystore, flags['format']), { mode: 0o600, flag: 'wx' });
+
+        return {
+            address: prependZeroX(parsed.keystore.address),
+            from: parsed.format,
+            to: flags['format'],
+            keystore: flags['out']
+        };
+    },
+
+    sign: (accs, args, flags) => {
+        const tx = JSON.parse(fs.readFileSync(requireArg(args, 'tx.json'), 'utf8'));
+        return readAccount(accs, flags).then((account) => account.signTransaction(tx));
+    },
+
+    decode: (accs, args, flags) => {
+        const raw = flags['file'] ? fs.readFileSync(flags['file'], 'utf8').trim() : requireArg(args, 'rawTx');
+        const tx = accs.decodeTransaction(raw);
+
+        // BN fields are printed in base 10
+        return _.mapObject(tx, (val) => (val !== null && val.toString && !_.isString(val) ? val.toString(10) : val));
+    },
+
+    'serve-signer': (accs, args, flags) => {
+        const socket = flags['socket'];
+
+        // stdin carries the requests, so it can not prompt for a password
+        if (!socket && flags['keystore'] && !flags['password-env'] && !flags['password-file']) {
+            throw new Error('serve-signer on stdin needs --password-env or --password-file');
+        }
+
+        return readAccount(accs, flags).then((account) => {
+            const signer = new Accounts.LocalSigner(account.privateKey);
+
+            if (!socket) {
+                return Accounts.RemoteSigner.serve(signer, process.stdin, process.stdout);
+            }
+
+            return Accounts.RemoteSigner.listen(signer, socket).then((server) => {
+                process.stderr.write('signing for ' + account.address + ' on ' + socket + '\n');
+                return new Promise((resolve) => server.on('close', resolve));
+            });
+        });
+    }
+};
+
+const format = (result, json) => {
+    if (json) {
+        return JSON.stringify(result, null, 2);
+    }
+    return _.map(result, (val, key) => key + ': ' + (val === null ? '' : val)).join('\n');
+};
+
+const main = (argv) => {
+    let parsed;
+    try {
+        parsed = parseArgs(argv);
+    } catch (e) {
+        return Promise.reject(e);
+    }
+
+    if (parsed.flags['help'] || !parsed.command) {
+        process.stdout.write(USAGE);
+        return Promise.resolve();
+    }
+
+    const command = commands[parsed.command];
+    if (!command) {
+        return Promise.reject(new Error('Unknown command "' + parsed.command + '", see --help'));
+    }
+
+    return Promise.resolve()
+        .then(() => command(new Accounts(), parsed.args, parsed.flags))
+        .then((result) => {
+            if (result !== undefined) {
+                process.stdout.write(format(result, parsed.flags['json']) + '\n');
+            }
+        });
+};
+
+main(process.argv.slice(2)).catch((e) => {
+    process.stderr.write('error: ' + e.message + '\n');
+    process.exitCode = 1;
+});
@@ -0,0 +1,412 @@
+/**
+ * accounts-abi.js, solidity ABI coder for the Aion FVM
+ *
+ * Follows the solidity contract ABI with the FVM differences:
+ *
+ *   - words are 16 bytes, so (u)int defaults to and tops out at 128 bits
+ *   - addresses are 32 bytes and take two words
+ *   - bytes17 to bytes32 take two words
+ *
+ * Function selectors are the first 4 bytes of the keccak256 hash of the
+ * signature as on ethereum, the FVM compiler did not switch them to
+ * blake2b like the kernel's hashes. aion-web3 computes them the same way.
+ *
+ * Dynamic types (bytes, string, T[] and T[k] of a dynamic T) are stored
+ * behind a one word offset as usual. Tuples are not supported by the FVM.
+ */
+
+const _ = require('underscore');
+const BN = require('bn.js');
+
+const { keccak256 } = require('./accounts-crypto');
+const {
+    removeLeadingZeroX,
+    bufferToZeroXHex,
+    toBN,
+    isHex
+} = require('./accounts-format');
+const { hasChecksum, isValidChecksumAddress } = require('./accounts-util');
+const patterns = require('./accounts-pattern');
+const { AbiError, InvalidChecksumError } = require('./accounts-errors');
+
+const WORD_SIZE = 16;
+const ADDRESS_SIZE = 32;
+const MAX_INT_SIZE = WORD_SIZE * 8;
+
+/**
+ * Parses a solidity type into a tree the coders work on
+ * @param {string} type e.g. uint128, address[2][], bytes
+ * @return {object} {name, kind, size, length, child}
+ */
+const parseType = (type) => {
+    if (!_.isString(type)) {
+        throw new AbiError('Invalid type "' + type + '"');
+    }
+
+    // the last dimension is the outermost array
+    const dimensions = type.match(patterns.solidityDimensions);
+    if (dimensions !== null) {
+        const last = dimensions[dimensions.length - 1];
+        const child = parseType(type.slice(0, type.length - last.length));
+        const digit = last.match(patterns.solidityDimensionDigit);
+        return {
+            name: child.name + last,
+            kind: 'array',
+            length: digit === null ? null : parseInt(digit[0], 10),
+            child: child
+        };
+    }
+
+    const base = (type.match(patterns.solidityTypeNoLength) || [])[0];
+    const sizeMatch = type.match(patterns.typeN);
+    const size = sizeMatch === null ? null : parseInt(sizeMatch[1], 10);
+
+    if (type === 'address' || type === 'bool' || type === 'string' || type === 'bytes') {
+        return { name: type, kind: type };
+    }
+
+    if ((base === 'int' || base === 'uint') && type === base + (size === null ? '' : size)) {
+        const bits = size === null ? MAX_INT_SIZE : size;
+        if (bits % 8 !== 0 || bits < 8 || bits > MAX_INT_SIZE) {
+            throw new AbiError('Invalid type "' + type + '", FVM integers are 8 to ' + MAX_INT_SIZE + ' bits');
+        }
+        return { name: base + bits, kind: base, size: bits };
+    }
+
+    if (base === 'bytes' && size !== null && type === base + size) {
+        if (size < 1 || size > ADDRESS_SIZE) {
+            throw new AbiError('Invalid type "' + type + '"');
+        }
+        return { name: type, kind: 'fixedBytes', size: size };
+    }
+
+    throw new AbiError('Unsupported type "' + type + '"');
+};
+
+const isDynamic = (t) => {
+    if (t.kind === 'string' || t.kind === 'bytes') {
+        return true;
+    }
+    return t.kind === 'array' && (t.length === null || isDynamic(t.child));
+};
+
+/**
+ * Bytes taken in the head of the enclosing tuple
+ */
+const headSize = (t) => {
+    if (isDynamic(t)) {
+        return WORD_SIZE;
+    }
+    if (t.kind === 'array') {
+        return t.length * headSize(t.child);
+    }
+    if (t.kind === 'address' || (t.kind === 'fixedBytes' && t.size > WORD_SIZE)) {
+        return 2 * WORD_SIZE;
+    }
+    return WORD_SIZE;
+};
+
+const padRight = (buf) => {
+    const padded = Math.ceil(buf.length / WORD_SIZE) * WORD_SIZE;
+    return Buffer.concat([buf, Buffer.alloc(padded - buf.length)]);
+};
+
+const encodeWord = (bn) => bn.toTwos(MAX_INT_SIZE).toArrayLike(Buffer, 'be', WORD_SIZE);
+
+const hexValue = (t, val) => {
+    if (Buffer.isBuffer(val)) {
+        return val;
+    }
+    if (!_.isString(val) || (val !== '0x' && !isHex(val))) {
+        throw new AbiError('Expected hex for ' + t.name + ', got "' + val + '"');
+    }
+    const hex = removeLeadingZeroX(val);
+    if (hex.length % 2 !== 0) {
+        throw new AbiError('Expected whole bytes for ' + t.name + ', got "' + val + '"');
+    }
+    return Buffer.from(hex, 'hex');
+};
+
+const encodeInt = (t, val) => {
+    let bn;
+    try {
+        bn = toBN(val);
+    } catch (e) {
+        throw new AbiError('Expected a number for ' + t.name + ', got "' + val + '"');
+    }
+
+    const signed = t.kind === 'int';
+    const min = signed ? new BN(1).shln(t.size - 1).neg() : new BN(0);
+    const max = new BN(1).shln(signed ? t.size - 1 : t.size).subn(1);
+    if (bn.lt(min) || bn.gt(max)) {
+        throw new AbiError('Value ' + bn.toString(10) + ' is out of range for ' + t.name);
+    }
+    return encodeWord(bn);
+};
+
+const encodeAddress = (t, val) => {
+    if (!_.isString(val) || !patterns.address.test(val)) {
+        throw new AbiError('Invalid address "' + val + '"');
+    }
+    if (hasChecksum(val) && !isValidChecksumAddress(val)) {
+        throw new InvalidChecksumError('Provided address "' + val + '" has an invalid checksum');
+    }
+    return Buffer.from(removeLeadingZeroX(val), 'hex');
+};
+
+const encodeDynamicBytes = (buf) => Buffer.concat([encodeWord(new BN(buf.length)), padRight(buf)]);
+
+let encodeTuple;
+
+const encodeValue = (t, val) => {
+    switch (t.kind) {
+    case 'int':
+    case 'uint':
+        return encodeInt(t, val);
+    case 'bool':
+        if (!_.isBoolean(val)) {
+            throw new AbiError('Expected a boolean for bool, got "' + val + '"');
+        }
+        return encodeWord(new BN(val ? 1 : 0));
+    case 'address':
+        return encodeAddress(t, val);
+    case 'fixedBytes': {
+        const buf = hexValue(t, val);
+        if (buf.length !== t.size) {
+            throw new AbiError('Expected ' + t.size + ' bytes for ' + t.name + ', got ' + buf.length);
+        }
+        return padRight(buf);
+    }
+    case 'bytes':
+        return encodeDynamicBytes(hexValue(t, val));
+    case 'string':
+        if (!_.isString(val)) {
+            throw new AbiError('Expected a string for string, got "' + val + '"');
+        }
+        return encodeDynamicBytes(Buffer.from(val, 'utf8'));
+    case 'array': {
+        if (!_.isArray(val)) {
+            throw new AbiError('Expected an array for ' + t.name + ', got "' + val + '"');
+        }
+        if (t.length !== null && val.length !== t.length) {
+            throw new AbiError('Expected ' + t.length + ' values for ' + t.name + ', got ' + val.length);
+        }
+
+        const items = encodeTuple(val.map(() => t.child), val);
+        return t.length === null
+            ? Buffer.concat([encodeWord(new BN(val.length)), items])
+            : items;
+    }
+    }
+};
+
+/**
+ * Heads in order, dynamic values replaced by their offset into the tails
+ */
+encodeTuple = (types, values) => {
+    const headLength = types.reduce((sum, t) => sum + headSize(t), 0);
+    const heads = [];
+    const tails = [];
+    let offset = headLength;
+
+    types.forEach((t, i) => {
+        const encoded = encodeValue(t, values[i]);
+        if (isDynamic(t)) {
+            heads.push(encodeWord(new BN(offset)));
+            tails.push(encoded);
+            offset += encoded.length;
+        } else {
+            heads.push(encoded);
+        }
+    });
+
+    return Buffer.concat(heads.concat(tails));
+};
+
+const readWord = (buf, offset) => {
+    if (offset + WORD_SIZE > buf.length) {
+        throw new AbiError('Data is too short, expected a word at offset ' + offset);
+    }
+    return new BN(buf.slice(offset, offset + WORD_SIZE));
+};
+
+const readLength = (buf, offset) => {
+    const word = readWord(buf, offset);
+    if (word.gtn(buf.length)) {
+        throw new AbiError('Invalid offset or length ' + word.toString(10) + ' at offset ' + offset);
+    }
+    return word.toNumber();
+};
+
+const readBytes = (buf, offset, length) => {
+    if (offset + length > buf.length) {
+        throw new AbiError('Data is too short, expected ' + length + ' bytes at offset ' + offset);
+    }
+    return buf.slice(offset, offset + length);
+};
+
+let decodeTuple;
+
+/**
+ * @return {*} decoded value of a single type starting at offset
+ */
+const decodeValue = (t, buf, offset) => {
+    switch (t.kind) {
+    case 'int':
+        return readWord(buf, offset).fromTwos(MAX_INT_SIZE);
+    case 'uint':
+        return readWord(buf, offset);
+    case 'bool':
+        return !readWord(buf, offset).isZero();
+    case 'address':
+        return bufferToZeroXHex(readBytes(buf, offset, ADDRESS_SIZE));
+    case 'fixedBytes':
+        return bufferToZeroXHex(readBytes(buf, offset, t.size));
+    case 'bytes':
+        return bufferToZeroXHex(readBytes(buf, offset + WORD_SIZE, readLength(buf, offset)));
+    case 'string':
+        return readBytes(buf, offset + WORD_SIZE, readLength(buf, offset)).toString('utf8');
+    case 'array': {
+        if (t.length === null) {
+            const length = readLength(buf, offset);
+            return decodeTuple(_.times(length, () => t.child), buf, offset + WORD_SIZE);
+        }
+        return decodeTuple(_.times(t.length, () => t.child), buf, offset);
+    }
+    }
+};
+
+decodeTuple = (types, buf, base) => {
+    let head = base;
+    return types.map((t) => {
+        const value = isDynamic(t)
+            ? decodeValue(t, buf, base + readLength(buf, head))
+            : decodeValue(t, buf, head);
+        head += headSize(t);
+        return value;
+    });
+};
+
+const typeOf = (param) => _.isString(param) ? param : param.type;
+
+/**
+ * @param {array} types solidity types, or ABI inputs/outputs ({name, type})
+ * @param {array} values
+ * @return {string} encoded parameters prepended with '0x'
+ */
+const encodeParameters = (types, values) => {
+    values = values || [];
+    if (types.length !== values.length) {
+        throw new AbiError('Expected ' + types.length + ' values, got ' + values.length);
+    }
+    return bufferToZeroXHex(encodeTuple(types.map((p) => parseType(typeOf(p))), values));
+};
+
+/**
+ * @param {array} types solidity types, or ABI inputs/outputs ({name, type})
+ * @param {string|buffer} data encoded parameters
+ * @return {array} decoded values, (u)ints as BN, addresses and bytes as hex
+ */
+const decodeParameters = (types, data) => {
+    const buf = Buffer.isBuffer(data) ? data : hexValue({ name: 'data' }, data);
+    return decodeTuple(types.map((p) => parseType(typeOf(p))), buf, 0);
+};
+
+/**
+ * @param {object} item ABI function item
+ * @return {string} canonical signature, e.g. transfer(address,uint128)
+ */
+const functionSignature = (item) => {
+    const inputs = item.inputs || [];
+    return item.name + '(' + inputs.map((p) => parseType(typeOf(p)).name).join(',') + ')';
+};
+
+/**
+ * @param {string|object} signature canonical signature or ABI function item
+ * @return {string} 4 byte selector prepended with '0x'
+ */
+const functionSelector = (signature) => {
+    if (_.isObject(signature)) {
+        signature = functionSignature(signature);
+    }
+    return bufferToZeroXHex(keccak256(Buffer.from(signature, 'utf8')).slice(0, 4));
+};
+
+/**
+ * Looks up a function by name or by full signature for overloads
+ * @param {array|object} abi contract ABI or a single function item
+ * @param {string} method
+ * @param {number} argCount used to pick between overloads
+ * @return {object} ABI function item
+ */
+const findFunction = (abi, method, argCount) => {
+    const functions = (_.isArray(abi) ? abi : [abi]).filter((item) => {
+        return item.type === undefined || item.type === 'function';
+    });
+
+    let candidates;
+    if (method.indexOf('(') !== -1) {
+        candidates = functions.filter((item) => functionSignature(item) === method);
+    } else {
+        candidates = functions.filter((item) => item.name === method);
+        if (candidates.length > 1 && argCount !== undefined) {
+            candidates = candidates.filter((item) => (item.inputs || []).length === argCount);
+        }
+    }
+
+    if (candidates.length === 0) {
+        throw new AbiError('Function "' + method + '" not found in ABI');
+    }
+    if (candidates.length > 1) {
+        throw new AbiError('Function "' + method + '" is overloaded, use the full signature instead');
+    }
+    return candidates[0];
+};
+
+/**
+ * @param {array|object} abi contract ABI or a single function item
+ * @param {string} method name, or signature for overloaded functions
+ * @param {array} args
+ * @return {string} call data prepended with '0x'
+ */
+const encodeFunctionCall = (abi, method, args) => {
+    args = args || [];
+    const item = findFunction(abi, method, args.length);
+    return functionSelector(item) + removeLeadingZeroX(encodeParameters(item.inputs || [], args));
+};
+
+/**
+ * @param {array} abi contract ABI, the constructor item may be omitted
+ * @param {string} bytecode contract bytecode
+ * @param {array} args constructor arguments
+ * @return {string} deployment data prepended with '0x'
+ */
+const encodeConstructor = (abi, bytecode, args) => {
+    const item = _.find(_.isArray(abi) ? abi : [abi], (i) => i.type === 'constructor') || { inputs: [] };
+    return bufferToZeroXHex(Buffer.concat([
+        hexValue({ name: 'bytecode' }, bytecode),
+        Buffer.from(removeLeadingZeroX(encodeParameters(item.inputs || [], args)), 'hex')
+    ]));
+};
+
+/**
+ * @param {array|object} abi contract ABI or a single function item
+ * @param {string} method name, or signature for overloaded functions
+ * @param {string|buffer} data return data of the call
+ * @return {array} decoded outputs
+ */
+const decodeFunctionResult = (abi, method, data) => {
+    const item = findFunction(abi, method);
+    return decodeParameters(item.outputs || [], data);
+};
+
+module.exports = {
+    WORD_SIZE,
+    encodeParameters,
+    decodeParameters,
+    functionSignature,
+    functionSelector,
+    encodeFunctionCall,
+    encodeConstructor,
+    decodeFunctionResult
+};
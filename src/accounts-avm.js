@@ -0,0 +1,404 @@
+/**
+ * accounts-avm.js, ABI coder for AVM (java) contracts
+ *
+ * Every value is written as a tag byte followed by its big endian payload:
+ *
+ *   byte 0x01, boolean 0x02, char 0x03, short 0x04, int 0x05, long 0x06,
+ *   float 0x07, double 0x08, arrays of these 0x11 - 0x18 with a 2 byte length,
+ *   String 0x21 with a 2 byte utf8 length, Address 0x22 with 32 bytes,
+ *   arrays of arrays, Strings or Addresses 0x31 followed by the element tag
+ *   and a 2 byte length, null 0x32 followed by the tags of its type
+ *
+ * A method call is the method name as a String followed by the arguments.
+ * A deployment is the 4 byte jar length, the jar, the 4 byte arguments
+ * length and the arguments.
+ */
+
+const _ = require('underscore');
+const BN = require('bn.js');
+
+const {
+    removeLeadingZeroX,
+    bufferToZeroXHex,
+    toBN,
+    isHex
+} = require('./accounts-format');
+const { hasChecksum, isValidChecksumAddress } = require('./accounts-util');
+const patterns = require('./accounts-pattern');
+const { AbiError, InvalidChecksumError } = require('./accounts-errors');
+
+const PRIMITIVES = Object.freeze({
+    byte: { tag: 0x01, size: 1 },
+    boolean: { tag: 0x02, size: 1 },
+    char: { tag: 0x03, size: 2 },
+    short: { tag: 0x04, size: 2 },
+    int: { tag: 0x05, size: 4 },
+    long: { tag: 0x06, size: 8 },
+    float: { tag: 0x07, size: 4 },
+    double: { tag: 0x08, size: 8 }
+});
+
+const TAGS = Object.freeze({
+    ARRAY_OFFSET: 0x10,
+    STRING: 0x21,
+    ADDRESS: 0x22,
+    ARRAY: 0x31,
+    NULL: 0x32
+});
+
+const ADDRESS_SIZE = 32;
+const MAX_LENGTH = 0xffff;
+
+/**
+ * @param {string} type java type, e.g. int, long[], String, Address[], int[][]
+ * @return {object} {name, kind, tags, primitive, child}
+ */
+const parseType = (type) => {
+    if (!_.isString(type)) {
+        throw new AbiError('Invalid type "' + type + '"');
+    }
+
+    if (_.has(PRIMITIVES, type)) {
+        return { name: type, kind: 'primitive', tags: [PRIMITIVES[type].tag], primitive: type };
+    }
+    if (type === 'String') {
+        return { name: type, kind: 'string', tags: [TAGS.STRING] };
+    }
+    if (type === 'Address') {
+        return { name: type, kind: 'address', tags: [TAGS.ADDRESS] };
+    }
+
+    if (type.slice(-2) === '[]') {
+        const child = parseType(type.slice(0, -2));
+        if (child.kind === 'primitive') {
+            return {
+                name: type,
+                kind: 'primitiveArray',
+                tags: [PRIMITIVES[child.primitive].tag + TAGS.ARRAY_OFFSET],
+                primitive: child.primitive
+            };
+        }
+        if (child.kind !== 'array') {
+            return { name: type, kind: 'array', tags: [TAGS.ARRAY].concat(child.tags), child: child };
+        }
+    }
+
+    throw new AbiError('Unsupported type "' + type + '"');
+};
+
+const checkLength = (t, length) => {
+    if (length > MAX_LENGTH) {
+        throw new AbiError(t.name + ' is too long, ' + length + ' exceeds ' + MAX_LENGTH);
+    }
+    const buf = Buffer.alloc(2);
+    buf.writeUInt16BE(length, 0);
+    return buf;
+};
+
+const encodeInteger = (name, size, val) => {
+    let bn;
+    try {
+        bn = toBN(val);
+    } catch (e) {
+        throw new AbiError('Expected a number for ' + name + ', got "' + val + '"');
+    }
+
+    const bits = size * 8;
+    const max = new BN(1).shln(bits - 1);
+    if (bn.lt(max.neg()) || bn.gte(max)) {
+        throw new AbiError('Value ' + bn.toString(10) + ' is out of range for ' + name);
+    }
+    return bn.toTwos(bits).toArrayLike(Buffer, 'be', size);
+};
+
+/**
+ * Payload of a primitive without its tag
+ */
+const encodePrimitive = (primitive, val) => {
+    const size = PRIMITIVES[primitive].size;
+    const buf = Buffer.alloc(size);
+
+    switch (primitive) {
+    case 'boolean':
+        if (!_.isBoolean(val)) {
+            throw new AbiError('Expected a boolean for boolean, got "' + val + '"');
+        }
+        buf.writeUInt8(val ? 1 : 0, 0);
+        return buf;
+    case 'char':
+        if (!(_.isString(val) && val.length === 1)) {
+            throw new AbiError('Expected a single character for char, got "' + val + '"');
+        }
+        buf.writeUInt16BE(val.charCodeAt(0), 0);
+        return buf;
+    case 'float':
+    case 'double':
+        if (!_.isNumber(val)) {
+            throw new AbiError('Expected a number for ' + primitive + ', got "' + val + '"');
+        }
+        if (primitive === 'float') {
+            buf.writeFloatBE(val, 0);
+        } else {
+            buf.writeDoubleBE(val, 0);
+        }
+        return buf;
+    default:
+        return encodeInteger(primitive, size, val);
+    }
+};
+
+const bytesValue = (name, val) => {
+    if (Buffer.isBuffer(val)) {
+        return val;
+    }
+    if (!_.isString(val) || (val !== '0x' && !isHex(val)) || removeLeadingZeroX(val).length % 2 !== 0) {
+        throw new AbiError('Expected hex for ' + name + ', got "' + val + '"');
+    }
+    return Buffer.from(removeLeadingZeroX(val), 'hex');
+};
+
+/**
+ * @return {buffer} tagged value
+ */
+const encodeValue = (t, val) => {
+    if (val === null || val === undefined) {
+        if (t.kind === 'primitive') {
+            throw new AbiError(t.name + ' can not be null');
+        }
+        return Buffer.from([TAGS.NULL].concat(t.tags));
+    }
+
+    const tags = Buffer.from(t.tags);
+
+    switch (t.kind) {
+    case 'primitive':
+        return Buffer.concat([tags, encodePrimitive(t.primitive, val)]);
+    case 'string': {
+        if (!_.isString(val)) {
+            throw new AbiError('Expected a string for String, got "' + val + '"');
+        }
+        const buf = Buffer.from(val, 'utf8');
+        return Buffer.concat([tags, checkLength(t, buf.length), buf]);
+    }
+    case 'address': {
+        if (!_.isString(val) || !patterns.address.test(val)) {
+            throw new AbiError('Invalid address "' + val + '"');
+        }
+        if (hasChecksum(val) && !isValidChecksumAddress(val)) {
+            throw new InvalidChecksumError('Provided address "' + val + '" has an invalid checksum');
+        }
+        return Buffer.concat([tags, Buffer.from(removeLeadingZeroX(val), 'hex')]);
+    }
+    case 'primitiveArray': {
+        if (t.primitive === 'byte' && !_.isArray(val)) {
+            const buf = bytesValue(t.name, val);
+            return Buffer.concat([tags, checkLength(t, buf.length), buf]);
+        }
+        if (!_.isArray(val)) {
+            throw new AbiError('Expected an array for ' + t.name + ', got "' + val + '"');
+        }
+        return Buffer.concat([tags, checkLength(t, val.length)]
+            .concat(val.map((item) => encodePrimitive(t.primitive, item))));
+    }
+    case 'array':
+        if (!_.isArray(val)) {
+            throw new AbiError('Expected an array for ' + t.name + ', got "' + val + '"');
+        }
+        return Buffer.concat([tags, checkLength(t, val.length)]
+            .concat(val.map((item) => encodeValue(t.child, item))));
+    }
+};
+
+/**
+ * Reads sequentially from a buffer, failing on truncated data
+ */
+function Reader(buf) {
+    this.buf = buf;
+    this.offset = 0;
+}
+
+Reader.prototype.read = function (length) {
+    if (this.offset + length > this.buf.length) {
+        throw new AbiError('Data is too short, expected ' + length + ' bytes at offset ' + this.offset);
+    }
+    const out = this.buf.slice(this.offset, this.offset + length);
+    this.offset += length;
+    return out;
+};
+
+Reader.prototype.byte = function () {
+    return this.read(1)[0];
+};
+
+Reader.prototype.length = function () {
+    return this.read(2).readUInt16BE(0);
+};
+
+Reader.prototype.done = function () {
+    return this.offset === this.buf.length;
+};
+
+const PRIMITIVE_BY_TAG = _.object(_.map(PRIMITIVES, (p, name) => [p.tag, name]));
+
+/**
+ * @return {*} long as BN, byte, short and int as numbers, char as a one
+ * character string, byte[] and Address as hex
+ */
+const decodePrimitive = (primitive, reader) => {
+    const buf = reader.read(PRIMITIVES[primitive].size);
+
+    switch (primitive) {
+    case 'boolean':
+        return buf[0] !== 0;
+    case 'char':
+        return String.fromCharCode(buf.readUInt16BE(0));
+    case 'float':
+        return buf.readFloatBE(0);
+    case 'double':
+        return buf.readDoubleBE(0);
+    case 'long':
+        return new BN(buf).fromTwos(64);
+    default:
+        return new BN(buf).fromTwos(buf.length * 8).toNumber();
+    }
+};
+
+/**
+ * Reads the tags of a type, used after the null tag and by arrays
+ */
+const readTypeTags = (reader) => {
+    const tag = reader.byte();
+    return tag === TAGS.ARRAY ? [tag].concat(readTypeTags(reader)) : [tag];
+};
+
+const decodeValue = (reader) => {
+    const tag = reader.byte();
+
+    if (_.has(PRIMITIVE_BY_TAG, tag)) {
+        return decodePrimitive(PRIMITIVE_BY_TAG[tag], reader);
+    }
+
+    if (_.has(PRIMITIVE_BY_TAG, tag - TAGS.ARRAY_OFFSET)) {
+        const primitive = PRIMITIVE_BY_TAG[tag - TAGS.ARRAY_OFFSET];
+        const length = reader.length();
+        if (primitive === 'byte') {
+            return bufferToZeroXHex(reader.read(length));
+        }
+        return _.times(length, () => decodePrimitive(primitive, reader));
+    }
+
+    switch (tag) {
+    case TAGS.STRING:
+        return reader.read(reader.length()).toString('utf8');
+    case TAGS.ADDRESS:
+        return bufferToZeroXHex(reader.read(ADDRESS_SIZE));
+    case TAGS.NULL:
+        readTypeTags(reader);
+        return null;
+    case TAGS.ARRAY: {
+        readTypeTags(reader);
+        const length = reader.length();
+        return _.times(length, () => decodeValue(reader));
+    }
+    default:
+        throw new AbiError('Unknown tag 0x' + tag.toString(16) + ' at offset ' + (reader.offset - 1));
+    }
+};
+
+const encodeTuple = (types, values) => {
+    values = values || [];
+    types = types || [];
+    if (types.length !== values.length) {
+        throw new AbiError('Expected ' + types.length + ' values, got ' + values.length);
+    }
+    return Buffer.concat(types.map((type, i) => encodeValue(parseType(type), values[i])));
+};
+
+const uint32 = (length) => {
+    const buf = Buffer.alloc(4);
+    buf.writeUInt32BE(length, 0);
+    return buf;
+};
+
+/**
+ * @param {array} types java types, e.g. ['int', 'String', 'Address[]']
+ * @param {array} values
+ * @return {string} encoded arguments prepended with '0x'
+ */
+const encodeArguments = (types, values) => bufferToZeroXHex(encodeTuple(types, values));
+
+/**
+ * The encoding is self describing, so no types are needed
+ * @param {string|buffer} data
+ * @return {array} decoded values
+ */
+const decodeArguments = (data) => {
+    const reader = new Reader(bytesValue('data', data));
+    const values = [];
+    while (!reader.done()) {
+        values.push(decodeValue(reader));
+    }
+    return values;
+};
+
+/**
+ * @param {string} method name of the public static method
+ * @param {array} types java types of the arguments
+ * @param {array} values
+ * @return {string} call data prepended with '0x'
+ */
+const encodeMethodCall = (method, types, values) => {
+    return bufferToZeroXHex(Buffer.concat([
+        encodeValue(parseType('String'), method),
+        encodeTuple(types, values)
+    ]));
+};
+
+/**
+ * @param {string|buffer} data call data
+ * @return {object} {method, args}
+ */
+const decodeMethodCall = (data) => {
+    const values = decodeArguments(data);
+    if (!_.isString(values[0])) {
+        throw new AbiError('Call data does not start with a method name');
+    }
+    return { method: values[0], args: values.slice(1) };
+};
+
+/**
+ * @param {string|buffer} jar contract jar
+ * @param {array} types java types of the deployment arguments
+ * @param {array} values
+ * @return {string} deployment data prepended with '0x', pair with
+ * Transaction.TYPES.AVM_CREATE
+ */
+const encodeDeployment = (jar, types, values) => {
+    const code = bytesValue('jar', jar);
+    const args = encodeTuple(types, values);
+    return bufferToZeroXHex(Buffer.concat([uint32(code.length), code, uint32(args.length), args]));
+};
+
+/**
+ * @param {string|buffer} data deployment data
+ * @return {object} {jar, args} jar as hex, args decoded
+ */
+const decodeDeployment = (data) => {
+    const reader = new Reader(bytesValue('data', data));
+    const jar = reader.read(reader.read(4).readUInt32BE(0));
+    const args = reader.read(reader.read(4).readUInt32BE(0));
+    if (!reader.done()) {
+        throw new AbiError('Unexpected data after the deployment arguments');
+    }
+    return { jar: bufferToZeroXHex(jar), args: decodeArguments(args) };
+};
+
+module.exports = {
+    TAGS,
+    encodeArguments,
+    decodeArguments,
+    encodeMethodCall,
+    decodeMethodCall,
+    encodeDeployment,
+    decodeDeployment
+};
@@ -8,6 +8,7 @@
 const blake2b = require('blake2b');
 const nacl = require('tweetnacl');
 const scrypt = require('scryptsy');
+const jsSha3 = require('js-sha3');
 const node = require('crypto');
 
 
@@ -17,6 +18,9 @@ const blake2b256 = (val) => {
     return out;
 };
 
+// keccak256 as in ethereum, not the standardized sha3-256 of node's crypto
+const keccak256 = (val) => Buffer.from(jsSha3.keccak256.arrayBuffer(val));
+
 /**
  * Hashes the value to a blake2b256 hash
  * To hash a HEX string the hex must have 0x in front.
@@ -37,6 +41,7 @@ const blake2b256Hex = (value) => {
 module.exports = {
     blake2b256,
     blake2b256Hex,
+    keccak256,
     nacl,
     scrypt,
     node
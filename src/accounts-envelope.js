@@ -0,0 +1,105 @@
+/**
+ * accounts-envelope.js, portable transaction envelopes for offline signing
+ *
+ * The online machine exports an unsigned envelope, the offline machine signs
+ * it and returns a signed envelope, and the online machine checks that the
+ * signed envelope still matches its export before broadcasting:
+ *
+ *   {version, kind: 'unsigned', from, transaction, summary}
+ *   {version, kind: 'signed', from, transaction, summary, messageHash, rawTransaction,
+ *    transactionHash}
+ *
+ * transaction holds the hex fields of Transaction.toJSON.
+ */
+
+const _ = require('underscore');
+const BN = require('bn.js');
+
+const Transaction = require('./accounts-transaction');
+const { toBN } = require('./accounts-format');
+const { EnvelopeError } = require('./accounts-errors');
+
+const ENVELOPE_VERSION = 1;
+
+/**
+ * Formats a base unit amount with the given decimals, 1.5 rather than 1.500
+ */
+const formatUnits = (amount, decimals) => {
+    const bn = toBN(amount);
+    const base = new BN(10).pow(new BN(decimals));
+    const fraction = bn.mod(base).toString(10).padStart(decimals, '0').replace(/0+$/, '');
+    return bn.div(base).toString(10) + (fraction.length > 0 ? '.' + fraction : '');
+};
+
+const dataLength = (data) => (data.length - 2) / 2;
+
+/**
+ * @param {Transaction} transaction
+ * @param {string} from expected sender
+ * @return {string} one line description for whoever approves the signature
+ */
+const summarize = (transaction, from) => {
+    const value = transaction.value === '0x' ? '0' : formatUnits(transaction.value, 18);
+    const data = dataLength(transaction.data);
+
+    let action;
+    if (transaction.isContractCreation()) {
+        const vm = toBN(transaction.type).toNumber() === Transaction.TYPES.AVM_CREATE ? 'AVM' : 'FVM';
+        action = 'Deploy ' + vm + ' contract (' + data + ' bytes) from ' + from + ' with ' + value + ' AION';
+    } else {
+        action = 'Send ' + value + ' AION from ' + from + ' to ' + transaction.to +
+            (data > 0 ? ' with ' + data + ' bytes of call data' : '');
+    }
+
+    return action +
+        ', nonce ' + toBN(transaction.nonce).toString(10) +
+        ', energy limit ' + toBN(transaction.gas).toString(10) +
+        ' at ' + formatUnits(transaction.gasPrice, 9) + ' nAmp';
+};
+
+/**
+ * @param {Transaction} transaction complete transaction
+ * @param {string} from expected sender
+ * @return {object} unsigned envelope
+ */
+const createUnsigned = (transaction, from) => ({
+    version: ENVELOPE_VERSION,
+    kind: 'unsigned',
+    from: from,
+    transaction: _.omit(transaction.toJSON(), 'from'),
+    summary: summarize(transaction, from)
+});
+
+/**
+ * Parses an envelope, as object or JSON string, and checks its version and kind
+ * @return {object} {envelope, transaction}
+ * @throws {EnvelopeError}
+ */
+const readEnvelope = (envelope, kind) => {
+    if (_.isString(envelope)) {
+        try {
+            envelope = JSON.parse(envelope);
+        } catch (e) {
+            throw new EnvelopeError('Envelope is not valid JSON');
+        }
+    }
+
+    if (!_.isObject(envelope) || envelope.kind !== kind) {
+        throw new EnvelopeError('Expected a ' + kind + ' transaction envelope');
+    }
+    if (envelope.version !== ENVELOPE_VERSION) {
+        throw new EnvelopeError('Unsupported envelope version ' + envelope.version);
+    }
+    if (!_.isString(envelope.from)) {
+        throw new EnvelopeError('Envelope has no expected sender');
+    }
+
+    return { envelope: envelope, transaction: new Transaction(envelope.transaction) };
+};
+
+module.exports = {
+    ENVELOPE_VERSION,
+    summarize,
+    createUnsigned,
+    readEnvelope
+};
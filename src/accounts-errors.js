@@ -0,0 +1,112 @@
+/**
+ * accounts-errors.js, typed errors thrown by accounts
+ *
+ * Callers can distinguish failures with instanceof, or by the name
+ * property when the error crossed a serialization boundary.
+ */
+
+class AccountsError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = this.constructor.name;
+    }
+}
+
+/**
+ * Thrown when a signature does not verify against the signed payload
+ */
+class InvalidSignatureError extends AccountsError {}
+
+/**
+ * Thrown when a raw transaction does not have the Aion signed layout
+ */
+class InvalidTransactionError extends AccountsError {}
+
+/**
+ * Thrown when an async operation is cancelled through its abort signal
+ */
+class AbortError extends AccountsError {}
+
+/**
+ * Thrown when a mixed-case address does not match its checksum
+ */
+class InvalidChecksumError extends AccountsError {}
+
+/**
+ * Thrown when a transaction field is missing or invalid, field names it
+ */
+class TransactionValidationError extends AccountsError {
+    constructor(field, message) {
+        super(message);
+        this.field = field;
+    }
+}
+
+/**
+ * Thrown when contract call data can not be encoded or decoded
+ */
+class AbiError extends AccountsError {}
+
+/**
+ * Thrown when a JSON-RPC request fails, code and data are copied from the
+ * JSON-RPC error when the node returned one
+ */
+class ProviderError extends AccountsError {
+    constructor(message, code, data) {
+        super(message);
+        this.code = code;
+        this.data = data;
+    }
+}
+
+/**
+ * Thrown when a transaction envelope is malformed or does not match
+ */
+class EnvelopeError extends AccountsError {}
+
+/**
+ * Thrown when a wallet has no account for the requested sender, address names it
+ */
+class UnknownAccountError extends AccountsError {
+    constructor(address, message) {
+        super(message || 'No account for "' + address + '" in the wallet');
+        this.address = address;
+    }
+}
+
+/**
+ * Thrown when signing with an account whose key is locked or was removed,
+ * address names it
+ */
+class LockedAccountError extends AccountsError {
+    constructor(address, message) {
+        super(message || 'Account ' + address + ' is locked');
+        this.address = address;
+    }
+}
+
+/**
+ * Thrown when a wallet vault is malformed, modified or the password is wrong
+ */
+class VaultError extends AccountsError {}
+
+/**
+ * Thrown when a remote signer can not be reached or answers with an error
+ */
+class SignerError extends AccountsError {}
+
+module.exports = {
+    AccountsError,
+    InvalidSignatureError,
+    InvalidTransactionError,
+    AbortError,
+    InvalidChecksumError,
+    TransactionValidationError,
+    AbiError,
+    ProviderError,
+    EnvelopeError,
+    UnknownAccountError,
+    LockedAccountError,
+    VaultError,
+    SignerError
+};
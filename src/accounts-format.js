@@ -116,6 +116,12 @@ function toBuffer(val, encoding) {
     return Buffer.from(val)
   }
 
+  // 0x prefixed hex are bytes, going through a number would drop leading zero bytes
+  if (isHexStrict(val) === true && val[0] !== '-') {
+    let hex = removeLeadingZeroX(val)
+    return Buffer.from(hex.length % 2 === 0 ? hex : '0' + hex, 'hex')
+  }
+
   if (isNaN(val) === false || isNumber(val) === true || BN.isBN(val) === true) {
     // to array from BN is an array of bytes
     return Buffer.from(numberToBN(val).toArray())
@@ -256,7 +262,7 @@ const _txInputFormatter = (options) => {
 /**
  * Formats the input of a transaction and converts all values to HEX
  * 
- * Note: modified to REMOVE from, in this context we don't need it
+ * Note: from is only checked and lowercased, there is no wallet to resolve it against
  * 
  * @method inputCallFormatter
  * @param {Object} transaction options
@@ -266,7 +272,7 @@ const inputCallFormatter = (options) => {
     options = _txInputFormatter(options);
 
     if (options.from) {
-        options.from = inputAddressFormatter(from);
+        options.from = inputAddressFormatter(options.from);
     }
 
     return options;
@@ -289,5 +295,6 @@ module.exports = {
   toNumber,
   inputCallFormatter,
   numberToHex,
+  toBN,
   isHexStrict
 };
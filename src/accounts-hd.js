@@ -0,0 +1,116 @@
+/**
+ * accounts-hd.js, hierarchical deterministic key derivation for accounts
+ *
+ * Mnemonics follow BIP39, keys are derived following SLIP-0010 for ed25519:
+ * https://github.com/satoshilabs/slips/blob/master/slip-0010.md
+ *
+ * ed25519 only supports hardened derivation, so every path segment must be
+ * hardened. Aion accounts live under m/44'/425'/0'/0'/i'.
+ */
+
+const bip39 = require('bip39');
+const cryp = require('./accounts-crypto').node;
+
+// registered SLIP-0044 coin type for Aion
+const AION_COIN_TYPE = 425;
+const HARDENED_OFFSET = 0x80000000;
+const ED25519_CURVE = 'ed25519 seed';
+
+const PATH_PATTERN = /^m(\/[0-9]+['hH])*$/;
+
+/**
+ * BIP39 path for the Aion account at index
+ * @param {number} index
+ * @param {number} account BIP44 account, defaults to 0
+ * @return {string}
+ */
+const aionPath = (index, account = 0) =>
+    "m/44'/" + AION_COIN_TYPE + "'/" + account + "'/0'/" + index + "'";
+
+/**
+ * Generates a new random mnemonic
+ * @param {number} strength entropy bits, multiple of 32 between 128 and 256
+ * @return {string}
+ */
+const generateMnemonic = (strength) => bip39.generateMnemonic(strength || 128);
+
+/**
+ * True if the mnemonic has valid words and checksum
+ * @param {string} mnemonic
+ * @return {boolean}
+ */
+const validateMnemonic = (mnemonic) => bip39.validateMnemonic(mnemonic);
+
+/**
+ * BIP39 seed of a mnemonic
+ * @param {string} mnemonic
+ * @param {string} passphrase optional BIP39 passphrase
+ * @return {buffer} 64 byte seed
+ */
+const mnemonicToSeed = (mnemonic, passphrase) => {
+    if (validateMnemonic(mnemonic) === false) {
+        throw new Error('Invalid mnemonic');
+    }
+    return bip39.mnemonicToSeed(mnemonic, passphrase);
+};
+
+const hmacSha512 = (key, data) => {
+    const I = cryp.createHmac('sha512', key).update(data).digest();
+    return {
+        key: I.slice(0, 32),
+        chainCode: I.slice(32)
+    };
+};
+
+/**
+ * SLIP-0010 master key of a seed
+ * @param {buffer} seed
+ * @return {object} {key, chainCode}
+ */
+const masterKeyFromSeed = (seed) => hmacSha512(Buffer.from(ED25519_CURVE, 'utf8'), seed);
+
+/**
+ * SLIP-0010 hardened child key
+ * @param {object} parent {key, chainCode}
+ * @param {number} index hardened index (offset already applied)
+ * @return {object} {key, chainCode}
+ */
+const deriveHardenedChild = (parent, index) => {
+    const indexBuffer = Buffer.alloc(4);
+    indexBuffer.writeUInt32BE(index, 0);
+    const data = Buffer.concat([Buffer.alloc(1, 0), parent.key, indexBuffer]);
+    return hmacSha512(parent.chainCode, data);
+};
+
+/**
+ * Derives the key at path from a seed
+ * @param {string} path e.g. m/44'/425'/0'/0'/0'
+ * @param {buffer} seed
+ * @return {object} {key, chainCode}, key is the 32 byte ed25519 seed
+ */
+const derivePath = (path, seed) => {
+    if (PATH_PATTERN.test(path) === false) {
+        throw new Error('Invalid derivation path "' + path + '", ed25519 only supports hardened segments');
+    }
+
+    return path
+        .split('/')
+        .slice(1)
+        .map((segment) => parseInt(segment, 10))
+        .reduce((parent, index) => {
+            if (index >= HARDENED_OFFSET) {
+                throw new Error('Invalid derivation path "' + path + '", index out of range');
+            }
+            return deriveHardenedChild(parent, index + HARDENED_OFFSET);
+        }, masterKeyFromSeed(seed));
+};
+
+module.exports = {
+    AION_COIN_TYPE,
+    aionPath,
+    generateMnemonic,
+    validateMnemonic,
+    mnemonicToSeed,
+    masterKeyFromSeed,
+    derivePath
+};
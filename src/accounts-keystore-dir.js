@@ -0,0 +1,218 @@
+/**
+ * accounts-keystore-dir.js, manages a kernel compatible keystore directory
+ *
+ * The kernel stores one keystore per file, named UTC--<iso date>--<address>
+ * with the colons of the date replaced by dashes. Files are RLP encoded by
+ * the kernel, JSON (ksv3) files are read and written as well.
+ *
+ * Node.js only.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const _ = require('underscore');
+
+const Accounts = require('./accounts');
+const { removeLeadingZeroX, prependZeroX } = require('./accounts-format');
+const { isAccountAddress } = require('./accounts-util');
+
+const FILE_NAME_PATTERN = /^UTC--(.+)--([0-9a-f]{64})$/i;
+
+/**
+ * Kernel file name of a keystore
+ * @param {string} address
+ * @param {date} date defaults to now
+ * @return {string}
+ */
+const keystoreFileName = (address, date) =>
+    'UTC--' + (date || new Date()).toISOString().replace(/:/g, '-') +
+    '--' + removeLeadingZeroX(address).toLowerCase();
+
+/**
+ * Parses the contents of a keystore file
+ * @param {buffer} contents
+ * @return {object} {format, keystore}
+ */
+const parseKeystoreFile = (contents) => {
+    const text = contents.toString('utf8').trim();
+    if (text[0] === '{') {
+        return { format: 'json', keystore: JSON.parse(text) };
+    }
+    return { format: 'rlp', keystore: Accounts.fromRlp(contents) };
+};
+
+/**
+ * @param {string} dir keystore directory, e.g. ~/.aion/keystore
+ * @param {object} accounts Accounts instance used to encrypt and decrypt
+ */
+function KeystoreDir(dir, accounts) {
+    this.dir = dir;
+    this._accounts = accounts || new Accounts();
+}
+
+/**
+ * Reads every keystore file in the directory. Files that do not follow
+ * the kernel naming convention are ignored.
+ *
+ * @return {object} {entries, corrupted, duplicates}
+ *  entries: [{address, file, path, format, keystore}]
+ *  corrupted: [{file, path, error}]
+ *  duplicates: [{address, files}]
+ */
+KeystoreDir.prototype.scan = function () {
+    const _this = this;
+    const entries = [];
+    const corrupted = [];
+
+    if (!fs.existsSync(this.dir)) {
+        return { entries: entries, corrupted: corrupted, duplicates: [] };
+    }
+
+    fs.readdirSync(this.dir).sort().forEach((file) => {
+        const match = FILE_NAME_PATTERN.exec(file);
+        if (!match) {
+            return;
+        }
+
+        const filePath = path.join(_this.dir, file);
+        const address = match[2].toLowerCase();
+
+        try {
+            const parsed = parseKeystoreFile(fs.readFileSync(filePath));
+            const keystore = parsed.keystore;
+
+            if (keystore.version !== 3 || !_.isObject(keystore.crypto)) {
+                throw new Error('Not a valid V3 keystore');
+            }
+            if (removeLeadingZeroX(String(keystore.address)).toLowerCase() !== address) {
+                throw new Error('Keystore address does not match file name');
+            }
+
+            entries.push({
+                address: prependZeroX(address),
+                file: file,
+                path: filePath,
+                format: parsed.format,
+                keystore: keystore
+            });
+        } catch (e) {
+            corrupted.push({ file: file, path: filePath, error: e.message });
+        }
+    });
+
+    const duplicates = _.chain(entries)
+        .groupBy('address')
+        .pick((group) => group.length > 1)
+        .map((group, address) => ({ address: address, files: _.pluck(group, 'file') }))
+        .value();
+
+    return { entries: entries, corrupted: corrupted, duplicates: duplicates };
+};
+
+/**
+ * Addresses of the readable keystores in the directory
+ * @return {array} 0x prefixed addresses, without duplicates
+ */
+KeystoreDir.prototype.list = function () {
+    return _.uniq(_.pluck(this.scan().entries, 'address'));
+};
+
+/**
+ * Finds the keystore file of an address
+ * @param {string} address
+ * @return {object} {address, file, path, format, keystore}
+ */
+KeystoreDir.prototype.find = function (address) {
+    if (!isAccountAddress(address)) {
+        throw new Error('Provided address "' + address + '" is invalid');
+    }
+
+    const normalized = prependZeroX(removeLeadingZeroX(address).toLowerCase());
+    const matches = this.scan().entries.filter((entry) => entry.address === normalized);
+
+    if (matches.length === 0) {
+        throw new Error('No keystore found for address ' + normalized);
+    }
+    if (matches.length > 1) {
+        throw new Error('Duplicate keystore files for address ' + normalized + ': ' + _.pluck(matches, 'file').join(', '));
+    }
+    return matches[0];
+};
+
+/**
+ * Decrypts the keystore of an address
+ * @param {string} address
+ * @param {string} password
+ * @return {object} account
+ */
+KeystoreDir.prototype.import = function (address, password) {
+    return this._accounts.decrypt(this.find(address).keystore, password);
+};
+
+/**
+ * Encrypts an account and writes it using the kernel naming convention
+ *
+ * @param {object|string} account account or private key
+ * @param {string} password
+ * @param {object} options {format: 'rlp' (default) or 'json', date, encrypt options}
+ * @return {string} path of the new file
+ * @throws {Error} for accounts without a private key, like locked and
+ * signer accounts
+ */
+KeystoreDir.prototype.export = function (account, password, options) {
+    options = options || {};
+    const format = options.format || 'rlp';
+    if (format !== 'rlp' && format !== 'json') {
+        throw new Error('Unsupported keystore format "' + format + '"');
+    }
+
+    if (_.isString(account) || Buffer.isBuffer(account)) {
+        account = this._accounts.privateKeyToAccount(account);
+    }
+    // encrypt would make up a new key for a missing one
+    if (!_.isObject(account) || !Buffer.isBuffer(account._privateKey)) {
+        throw new Error('Account ' + (account && account.address) + ' has no private key to export');
+    }
+
+    const existing = this.scan().entries.filter((entry) => entry.address === account.address.toLowerCase());
+    if (existing.length > 0) {
+        throw new Error('Keystore for address ' + account.address + ' already exists: ' + existing[0].file);
+    }
+
+    const keystore = this._accounts.encrypt(account._privateKey, password, options);
+    if (prependZeroX(removeLeadingZeroX(keystore.address).toLowerCase()) !== account.address.toLowerCase()) {
+        throw new Error('Keystore address ' + keystore.address + ' does not match the account ' + account.address);
+    }
+    const contents = format === 'rlp' ? Accounts.toRlp(keystore) : JSON.stringify(keystore);
+
+    if (!fs.existsSync(this.dir)) {
+        fs.mkdirSync(this.dir);
+    }
+
+    const filePath = path.join(this.dir, keystoreFileName(account.address, options.date));
+    fs.writeFileSync(filePath, contents, { mode: 0o600, flag: 'wx' });
+    return filePath;
+};
+
+/**
+ * Deletes every keystore file of an address, including duplicates
+ * @param {string} address
+ * @return {number} number of files deleted
+ * @throws {Error} if address is invalid
+ */
+KeystoreDir.prototype.remove = function (address) {
+    if (!isAccountAddress(address)) {
+        throw new Error('Provided address "' + address + '" is invalid');
+    }
+
+    const normalized = prependZeroX(removeLeadingZeroX(address).toLowerCase());
+    const matches = this.scan().entries.filter((entry) => entry.address === normalized);
+
+    matches.forEach((entry) => fs.unlinkSync(entry.path));
+    return matches.length;
+};
+
+KeystoreDir.keystoreFileName = keystoreFileName;
+KeystoreDir.parseKeystoreFile = parseKeystoreFile;
+
+module.exports = KeystoreDir;
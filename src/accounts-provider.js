@@ -0,0 +1,129 @@
+/**
+ * accounts-provider.js, minimal JSON-RPC client for filling and sending transactions
+ *
+ * A provider is anything with send(method, params) returning a Promise of
+ * the result. Accounts.setProvider takes a node url or a function with the
+ * same signature, which is handy for tests and for wrapping other clients.
+ */
+
+const _ = require('underscore');
+const Promise = require('any-promise');
+
+const { ProviderError } = require('./accounts-errors');
+
+const DEFAULT_TIMEOUT = 20000;
+
+/**
+ * @param {string} url http(s) url of the node
+ * @param {object} options {timeout: ms, headers}
+ */
+function HttpProvider(url, options) {
+    this.url = url;
+    this.options = options || {};
+    this._id = 0;
+}
+
+HttpProvider.prototype.send = function (method, params) {
+    const _this = this;
+
+    // the url is checked here, so a bad one rejects like a failed request
+    let parsed;
+    try {
+        parsed = new URL(this.url);
+    } catch (e) {
+        return Promise.reject(new ProviderError('Invalid provider url "' + this.url + '"'));
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        return Promise.reject(new ProviderError('Provider url must be http or https, got "' + this.url + '"'));
+    }
+    const transport = require(parsed.protocol === 'https:' ? 'https' : 'http');
+
+    const body = JSON.stringify({
+        jsonrpc: '2.0',
+        id: ++this._id,
+        method: method,
+        params: params || []
+    });
+
+    return new Promise((resolve, reject) => {
+        const req = transport.request(parsed, {
+            method: 'POST',
+            headers: Object.assign({
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(body)
+            }, _this.options.headers)
+        }, (res) => {
+            const chunks = [];
+            res.on('data', (chunk) => chunks.push(chunk));
+            res.on('end', () => {
+                if (res.statusCode < 200 || res.statusCode >= 300) {
+                    return reject(new ProviderError(method + ' failed with HTTP status ' + res.statusCode));
+                }
+
+                let response;
+                try {
+                    response = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+                } catch (e) {
+                    return reject(new ProviderError(method + ' returned invalid JSON'));
+                }
+
+                if (response.error) {
+                    return reject(new ProviderError(response.error.message, response.error.code, response.error.data));
+                }
+                resolve(response.result);
+            });
+        });
+
+        req.setTimeout(_this.options.timeout || DEFAULT_TIMEOUT, () => {
+            req.abort();
+            reject(new ProviderError(method + ' timed out'));
+        });
+        req.on('error', (e) => reject(new ProviderError(method + ' failed: ' + e.message)));
+        req.end(body);
+    });
+};
+
+/**
+ * Wraps send(method, params) functions, results may be plain values
+ */
+function FunctionProvider(fn) {
+    this.fn = fn;
+}
+
+FunctionProvider.prototype.send = function (method, params) {
+    try {
+        return Promise.resolve(this.fn(method, params || []));
+    } catch (e) {
+        return Promise.reject(e);
+    }
+};
+
+/**
+ * Never throws, an invalid provider rejects every request with ProviderError
+ *
+ * @param {string|function|object} provider url, send function or provider
+ * @return {object} provider, null when none is given
+ */
+const toProvider = (provider) => {
+    if (provider === undefined || provider === null) {
+        return null;
+    }
+    if (_.isString(provider)) {
+        return new HttpProvider(provider);
+    }
+    if (_.isFunction(provider)) {
+        return new FunctionProvider(provider);
+    }
+    if (_.isFunction(provider.send)) {
+        return provider;
+    }
+    return new FunctionProvider(() => {
+        throw new ProviderError('Provider must be a url, a function or have a send method');
+    });
+};
+
+module.exports = {
+    HttpProvider,
+    FunctionProvider,
+    toProvider
+};
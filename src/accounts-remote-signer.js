@@ -0,0 +1,229 @@
+/**
+ * accounts-remote-signer.js, signer that forwards requests to another process
+ *
+ * Requests and responses are JSON lines, see handleRequest in
+ * accounts-signer.js. The other side is a child process (over its stdio)
+ * or a unix socket, so the key can live in a process of its own or under
+ * another user. The protocol has no authentication, access is controlled by
+ * the permissions of the socket, which only its owner can connect to.
+ * Node.js only.
+ */
+
+const _ = require('underscore');
+const fs = require('fs');
+const net = require('net');
+const childProcess = require('child_process');
+const readline = require('readline');
+const Promise = require('any-promise');
+
+const { toBuffer, bufferToZeroXHex } = require('./accounts-format');
+const { handleRequest } = require('./accounts-signer');
+const { SignerError } = require('./accounts-errors');
+
+/**
+ * @param {stream.Readable} input responses of the signer
+ * @param {stream.Writable} output requests to the signer
+ * @param {function} release called once by close, ends output by default
+ */
+function RemoteSigner(input, output, release) {
+    const _this = this;
+
+    this._output = output;
+    this._release = release || (() => output.end());
+    this._nextId = 1;
+    this._pending = {};
+    this._closed = false;
+    this._publicKey = null;
+
+    const lines = readline.createInterface({input: input});
+    lines.on('line', (line) => _this._receive(line));
+    lines.on('close', () => _this._fail(new SignerError('Remote signer closed the connection')));
+
+    const failed = (e) => _this._fail(new SignerError('Remote signer connection failed: ' + e.message));
+    input.on('error', failed);
+    if (output !== input) {
+        output.on('error', failed);
+    }
+}
+
+RemoteSigner.prototype._receive = function (line) {
+    let response;
+    try {
+        response = JSON.parse(line);
+    } catch (e) {
+        return;
+    }
+
+    const pending = response && this._pending[response.id];
+    if (!pending) {
+        return;
+    }
+    delete this._pending[response.id];
+
+    if (response.error !== undefined) {
+        pending.reject(new SignerError('Remote signer: ' + response.error));
+    } else {
+        pending.resolve(response.result);
+    }
+};
+
+RemoteSigner.prototype._fail = function (error) {
+    const pending = this._pending;
+
+    this._closed = true;
+    this._pending = {};
+    Object.keys(pending).forEach((id) => pending[id].reject(error));
+};
+
+RemoteSigner.prototype._request = function (method, params) {
+    const _this = this;
+
+    if (this._closed) {
+        return Promise.reject(new SignerError('Remote signer is closed'));
+    }
+
+    const id = this._nextId++;
+    return new Promise((resolve, reject) => {
+        _this._pending[id] = {resolve: resolve, reject: reject};
+        _this._output.write(JSON.stringify({id: id, method: method, params: params}) + '\n');
+    });
+};
+
+/**
+ * @return {Promise<buffer>} public key, asked for once per connection
+ */
+RemoteSigner.prototype.getPublicKey = function () {
+    const _this = this;
+
+    if (this._publicKey === null) {
+        this._publicKey = this._request('getPublicKey', []).then(toBuffer, (e) => {
+            _this._publicKey = null;
+            throw e;
+        });
+    }
+    return this._publicKey;
+};
+
+/**
+ * @param {buffer|string} hash
+ * @return {Promise<buffer>} signature
+ */
+RemoteSigner.prototype.signHash = function (hash) {
+    return this._request('signHash', [bufferToZeroXHex(toBuffer(hash))]).then(toBuffer);
+};
+
+/**
+ * Closes the connection, requests still waiting are rejected
+ */
+RemoteSigner.prototype.close = function () {
+    if (this._closed) {
+        return;
+    }
+    this._fail(new SignerError('Remote signer is closed'));
+    this._release();
+};
+
+/**
+ * Starts a signer process and talks to it over its stdin and stdout, stderr
+ * is passed through. Closing the signer ends its stdin.
+ *
+ * @param {string} command
+ * @param {array} args
+ * @param {object} options child_process.spawn options
+ * @return {RemoteSigner} with the child in .process
+ */
+RemoteSigner.spawn = function (command, args, options) {
+    const child = childProcess.spawn(command, args || [], Object.assign({stdio: ['pipe', 'pipe', 'inherit']}, options));
+    const signer = new RemoteSigner(child.stdout, child.stdin, () => child.stdin.end());
+
+    child.on('error', (e) => signer._fail(new SignerError('Remote signer failed to start: ' + e.message)));
+    signer.process = child;
+    return signer;
+};
+
+/**
+ * @param {string} path unix socket path
+ * @return {Promise<RemoteSigner>}
+ */
+RemoteSigner.connect = function (path) {
+    return new Promise((resolve, reject) => {
+        const socket = net.connect({path: path});
+        const refused = (e) => reject(new SignerError('Could not connect to the remote signer: ' + e.message));
+
+        socket.once('error', refused);
+        socket.once('connect', () => {
+            socket.removeListener('error', refused);
+            resolve(new RemoteSigner(socket, socket));
+        });
+    });
+};
+
+/**
+ * Answers requests read from input with signer until input ends
+ *
+ * @param {object} signer usually a LocalSigner
+ * @param {stream.Readable} input
+ * @param {stream.Writable} output
+ * @return {Promise} resolved when input ends
+ */
+RemoteSigner.serve = function (signer, input, output) {
+    const lines = readline.createInterface({input: input});
+
+    lines.on('line', (line) => {
+        if (line.trim() === '') {
+            return;
+        }
+        handleRequest(signer, line).then((response) => {
+            if (output.writable) {
+                output.write(response + '\n');
+            }
+        }).catch(() => {
+            // a bad line or a closed output must never end the signer
+        });
+    });
+
+    return new Promise((resolve) => lines.on('close', resolve));
+};
+
+/**
+ * Serves signer to every connection on a unix socket. The socket is created
+ * under umask 0177, so only its owner can connect from the first moment.
+ *
+ * @param {object} signer
+ * @param {string} path
+ * @return {Promise<net.Server>} once listening
+ */
+RemoteSigner.listen = function (signer, path) {
+    if (!_.isString(path) || path === '') {
+        return Promise.reject(new SignerError('The remote signer listens on a unix socket path only'));
+    }
+
+    const server = net.createServer((socket) => {
+        socket.on('error', () => socket.destroy());
+        RemoteSigner.serve(signer, socket, socket).then(() => socket.end());
+    });
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+
+        // the socket file is created while listen runs, restore right after
+        const umask = process.umask(0o177);
+        try {
+            server.listen({path: path}, listening);
+        } finally {
+            process.umask(umask);
+        }
+
+        function listening() {
+            server.removeListener('error', reject);
+            if ((fs.statSync(path).mode & 0o077) !== 0) {
+                server.close();
+                reject(new SignerError('Socket ' + path + ' is accessible to other users'));
+                return;
+            }
+            resolve(server);
+        }
+    });
+};
+
+module.exports = RemoteSigner;
@@ -0,0 +1,156 @@
+/**
+ * accounts-signer.js, signers hold the key and sign hashes for accounts
+ *
+ * A signer is any object with
+ *
+ *   getPublicKey() -> Promise<buffer|string>  32 byte ed25519 public key
+ *   signHash(hash) -> Promise<buffer|string>  64 byte ed25519 signature
+ *
+ * so keys can live in an HSM, a daemon or a hardware device. Signatures are
+ * always verified against the public key before they are used.
+ */
+
+const _ = require('underscore');
+const Promise = require('any-promise');
+
+const { nacl } = require('./accounts-crypto');
+const { toBuffer, bufferToZeroXHex } = require('./accounts-format');
+const { InvalidSignatureError } = require('./accounts-errors');
+
+/**
+ * @param {object} val
+ * @return {boolean} true when val implements the signer interface
+ */
+const isSigner = (val) => {
+    return _.isObject(val) && _.isFunction(val.getPublicKey) && _.isFunction(val.signHash);
+};
+
+/**
+ * Keeps the private key in process memory, used for plain private keys
+ * @param {string|buffer} privateKey 64 byte ed25519 secret key
+ */
+function LocalSigner(privateKey) {
+    const secret = toBuffer(privateKey);
+    let keyPair;
+    try {
+        keyPair = nacl.sign.keyPair.fromSecretKey(secret);
+    } finally {
+        secret.fill(0);
+    }
+
+    // a view of the nacl key, so wipe zeroes the only copy
+    this._privateKey = Buffer.from(keyPair.secretKey.buffer, keyPair.secretKey.byteOffset, keyPair.secretKey.length);
+    this._publicKey = Buffer.from(keyPair.publicKey);
+}
+
+LocalSigner.prototype.getPublicKey = function () {
+    return Promise.resolve(this._publicKey);
+};
+
+LocalSigner.prototype.signHash = function (hash) {
+    if (this._privateKey === null) {
+        return Promise.reject(new Error('Signer was wiped'));
+    }
+    return Promise.resolve(toBuffer(nacl.sign.detached(toBuffer(hash), this._privateKey)));
+};
+
+/**
+ * Zeroes the private key, signing fails afterwards
+ */
+LocalSigner.prototype.wipe = function () {
+    if (this._privateKey !== null) {
+        this._privateKey.fill(0);
+        this._privateKey = null;
+    }
+};
+
+/**
+ * @param {object|string|buffer} signerOrKey signer, or a private key
+ * @return {object} signer
+ */
+const toSigner = (signerOrKey) => {
+    return isSigner(signerOrKey) ? signerOrKey : new LocalSigner(signerOrKey);
+};
+
+/**
+ * @param {object} signer
+ * @return {Promise<buffer>} public key of the signer
+ * @throws {InvalidSignatureError} if it is not 32 bytes
+ */
+const publicKeyOf = (signer) => {
+    return Promise.resolve(signer.getPublicKey()).then((publicKey) => {
+        publicKey = toBuffer(publicKey);
+        if (publicKey.length !== nacl.sign.publicKeyLength) {
+            throw new InvalidSignatureError('Signer returned a malformed public key');
+        }
+        return publicKey;
+    });
+};
+
+/**
+ * Asks the signer for a signature and checks it, a remote signer that
+ * returns garbage must never produce a broadcastable transaction
+ *
+ * @param {object} signer
+ * @param {buffer} hash
+ * @return {Promise<object>} {publicKey, signature} as buffers
+ * @throws {InvalidSignatureError}
+ */
+const signWith = (signer, hash) => {
+    return Promise.all([publicKeyOf(signer), signer.signHash(hash)]).then((res) => {
+        const publicKey = res[0];
+        const signature = toBuffer(res[1]);
+
+        if (signature.length !== nacl.sign.signatureLength) {
+            throw new InvalidSignatureError('Signer returned a malformed signature');
+        }
+        if (nacl.sign.detached.verify(hash, signature, publicKey) === false) {
+            throw new InvalidSignatureError('Signer returned a signature that does not verify');
+        }
+        return {publicKey: publicKey, signature: signature};
+    });
+};
+
+/**
+ * Answers one request of the remote signer protocol: a JSON line
+ * {id, method: 'getPublicKey' | 'signHash', params: [hex]} is answered by
+ * {id, result: hex} or {id, error: message}
+ *
+ * @param {object} signer
+ * @param {string} line
+ * @return {Promise<string>} response line
+ */
+const handleRequest = (signer, line) => {
+    let request;
+    try {
+        request = JSON.parse(line);
+    } catch (e) {
+        return Promise.resolve(JSON.stringify({id: null, error: 'Invalid JSON'}));
+    }
+    if (!_.isObject(request) || _.isArray(request)) {
+        return Promise.resolve(JSON.stringify({id: null, error: 'Request must be an object'}));
+    }
+
+    return Promise.resolve().then(() => {
+        if (request.method === 'getPublicKey') {
+            return signer.getPublicKey();
+        }
+        if (request.method === 'signHash' && _.isArray(request.params)) {
+            return signer.signHash(toBuffer(request.params[0]));
+        }
+        throw new Error('Unknown method "' + request.method + '"');
+    }).then((result) => {
+        return JSON.stringify({id: request.id, result: bufferToZeroXHex(toBuffer(result))});
+    }, (e) => {
+        return JSON.stringify({id: request.id, error: e.message});
+    });
+};
+
+module.exports = {
+    isSigner,
+    LocalSigner,
+    toSigner,
+    publicKeyOf,
+    signWith,
+    handleRequest
+};
@@ -0,0 +1,93 @@
+/**
+ * accounts-storage.js, storage adapters for Wallet.save and Wallet.load
+ *
+ * An adapter implements the localStorage subset used by the wallet:
+ *
+ *   getItem(key) -> string or null
+ *   setItem(key, value)
+ *   removeItem(key)
+ *
+ * Each method may also return a Promise (e.g. IndexedDB or a remote secrets
+ * manager), in which case Wallet.save and Wallet.load return Promises too.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const _ = require('underscore');
+
+/**
+ * True if val implements the adapter interface
+ * @param {object} val
+ * @return {boolean}
+ */
+const isStorage = (val) =>
+    _.isObject(val) &&
+    _.isFunction(val.getItem) &&
+    _.isFunction(val.setItem) &&
+    _.isFunction(val.removeItem);
+
+/**
+ * Keeps items in process memory, mostly useful for tests
+ */
+function MemoryStorage() {
+    this._items = {};
+}
+
+MemoryStorage.prototype.getItem = function (key) {
+    return _.has(this._items, key) ? this._items[key] : null;
+};
+
+MemoryStorage.prototype.setItem = function (key, value) {
+    this._items[key] = String(value);
+};
+
+MemoryStorage.prototype.removeItem = function (key) {
+    delete this._items[key];
+};
+
+/**
+ * Stores each item as a file in a directory, Node.js only
+ * @param {string} dir created on first write if missing
+ */
+function FileStorage(dir) {
+    this.dir = dir;
+}
+
+FileStorage.prototype._path = function (key) {
+    // keys are arbitrary strings, keep them from escaping the directory
+    return path.join(this.dir, encodeURIComponent(key) + '.json');
+};
+
+FileStorage.prototype.getItem = function (key) {
+    try {
+        return fs.readFileSync(this._path(key), 'utf8');
+    } catch (e) {
+        if (e.code === 'ENOENT') {
+            return null;
+        }
+        throw e;
+    }
+};
+
+FileStorage.prototype.setItem = function (key, value) {
+    if (!fs.existsSync(this.dir)) {
+        fs.mkdirSync(this.dir);
+    }
+    fs.writeFileSync(this._path(key), String(value), { mode: 0o600 });
+};
+
+FileStorage.prototype.removeItem = function (key) {
+    try {
+        fs.unlinkSync(this._path(key));
+    } catch (e) {
+        if (e.code !== 'ENOENT') {
+            throw e;
+        }
+    }
+};
+
+module.exports = {
+    isStorage,
+    MemoryStorage,
+    FileStorage
+};
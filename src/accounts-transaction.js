@@ -0,0 +1,320 @@
+/**
+ * accounts-transaction.js, Aion transaction model
+ *
+ * Normalizes and validates transaction fields and produces the unsigned
+ * RLP payload signed by Accounts.signTransaction:
+ *
+ *   [nonce, to, value, data, timestamp, AionLong(gas), AionLong(gasPrice), type]
+ */
+
+const _ = require('underscore');
+const BN = require('bn.js');
+const rlp = require('aion-rlp');
+const AionLong = rlp.AionLong;
+
+const { blake2b256 } = require('./accounts-crypto');
+const {
+    removeLeadingZeroX,
+    bufferToZeroXHex,
+    numberToHex,
+    toBN,
+    isHex,
+    isHexStrict
+} = require('./accounts-format');
+const { hasChecksum, isValidChecksumAddress } = require('./accounts-util');
+const patterns = require('./accounts-pattern');
+const abi = require('./accounts-abi');
+const avm = require('./accounts-avm');
+const { TransactionValidationError, InvalidChecksumError } = require('./accounts-errors');
+
+/**
+ * Transaction types understood by the kernel
+ */
+const TYPES = Object.freeze({
+    // regular transfers, calls and FVM (solidity) contract deployments
+    FVM: 0x01,
+    // AVM (java) contract deployments
+    AVM_CREATE: 0x02
+});
+
+/**
+ * Energy rules of the kernel, the limits are the largest energy a single
+ * call or deployment may use
+ */
+const ENERGY = Object.freeze({
+    TRANSACTION: 21000,
+    CREATE: 200000,
+    ZERO_BYTE: 4,
+    NONZERO_BYTE: 64,
+    MAX_CALL: 2000000,
+    MAX_CREATE: 5000000
+});
+
+const toAionLong = (val) => {
+    let num;
+    if (
+        val === undefined ||
+        val === null ||
+        val === '' ||
+        val === '0x'
+    ) {
+      return null;
+    }
+
+    if (typeof val === 'string') {
+        if (
+            val.indexOf('0x') === 0 ||
+            val.indexOf('0') === 0 ||
+            isHex(val) === true ||
+            isHexStrict(val) === true
+        ) {
+            num = new BN(removeLeadingZeroX(val), 16);
+        } else {
+            num = new BN(val, 10);
+        }
+    }
+
+    if (typeof val === 'number') {
+      num = new BN(val);
+    }
+
+    return new AionLong(num);
+};
+
+const isEmpty = (val) => val === undefined || val === null || val === '' || val === '0x';
+
+/**
+ * Converts a numeric field to hex, rejecting negative or malformed values
+ */
+const quantity = (field, val) => {
+    let bn;
+    try {
+        bn = toBN(val);
+    } catch (e) {
+        throw new TransactionValidationError(field, '"' + field + '" must be a number, got "' + val + '"');
+    }
+
+    if (bn.isNeg()) {
+        throw new TransactionValidationError(field, '"' + field + '" must not be negative');
+    }
+    return numberToHex(bn);
+};
+
+const required = (field, val) => {
+    if (isEmpty(val)) {
+        throw new TransactionValidationError(field, '"' + field + '" is missing');
+    }
+    return val;
+};
+
+const address = (field, val) => {
+    if (!_.isString(val) || !patterns.address.test(val)) {
+        throw new TransactionValidationError(field, '"' + field + '" is not a valid address: "' + val + '"');
+    }
+
+    // mixed-case addresses carry a checksum, a mismatch means a typo
+    if (hasChecksum(val) && !isValidChecksumAddress(val)) {
+        throw new InvalidChecksumError('Provided address "' + val + '" has an invalid checksum');
+    }
+    return '0x' + removeLeadingZeroX(val).toLowerCase();
+};
+
+const noData = (data, field) => {
+    if (!isEmpty(data)) {
+        throw new TransactionValidationError('data', 'You can\'t have "data" and "' + field + '" as properties of transactions at the same time, "data" is encoded from "' + field + '" and "args".');
+    }
+};
+
+/**
+ * Builds the data of a contract call or deployment:
+ *
+ *   {abi, method, args}        FVM call
+ *   {abi, data, args}          FVM deployment of the bytecode in data
+ *   {method, types, args}      AVM call
+ *   {jar, types, args}         AVM deployment
+ *
+ * @return {string} encoded data
+ */
+const contractData = (fields, data) => {
+    if (fields.jar !== undefined) {
+        noData(data, 'jar');
+        if (!isEmpty(fields.to)) {
+            throw new TransactionValidationError('to', '"to" must be empty for AVM deployments');
+        }
+        return avm.encodeDeployment(fields.jar, fields.types, fields.args);
+    }
+
+    if (fields.abi === undefined) {
+        noData(data, 'method');
+        return avm.encodeMethodCall(fields.method, fields.types, fields.args);
+    }
+
+    if (isEmpty(fields.method)) {
+        if (!isEmpty(fields.to)) {
+            throw new TransactionValidationError('method', '"method" is missing, only contract deployments can leave it out');
+        }
+        return abi.encodeConstructor(fields.abi, required('data', data), fields.args);
+    }
+
+    noData(data, 'method');
+    return abi.encodeFunctionCall(fields.abi, fields.method, fields.args);
+};
+
+/**
+ * @param {object} fields {nonce, to, value, data (or input), gas (or gasLimit),
+ * gasPrice, timestamp, type, from}. to is omitted for contract deployments,
+ * timestamp defaults to now (seconds), type defaults to TYPES.FVM, or to
+ * TYPES.AVM_CREATE for jar deployments. Instead of data, contract calls and
+ * deployments can be given as described in contractData
+ * @throws {TransactionValidationError} naming the first invalid field
+ * @throws {AbiError} if the contract arguments can not be encoded
+ */
+function Transaction(fields) {
+    if (!_.isObject(fields)) {
+        throw new TransactionValidationError(null, 'No transaction object given!');
+    }
+
+    if (fields.data !== undefined && fields.input !== undefined) {
+        throw new TransactionValidationError('data', 'You can\'t have "data" and "input" as properties of transactions at the same time, please use either "data" or "input" instead.');
+    }
+
+    let data = fields.data !== undefined ? fields.data : fields.input;
+    const gas = fields.gas !== undefined ? fields.gas : fields.gasLimit;
+    const type = isEmpty(fields.type)
+        ? (fields.jar !== undefined ? TYPES.AVM_CREATE : TYPES.FVM)
+        : fields.type;
+
+    this.nonce = quantity('nonce', required('nonce', fields.nonce));
+    this.to = isEmpty(fields.to) ? null : address('to', fields.to);
+    this.value = isEmpty(fields.value) ? '0x' : quantity('value', fields.value);
+
+    if (!isEmpty(data) && !isHex(data)) {
+        throw new TransactionValidationError('data', 'The data field must be HEX encoded data.');
+    }
+    if (fields.abi !== undefined || fields.jar !== undefined || !isEmpty(fields.method)) {
+        data = contractData(fields, data);
+    }
+    this.data = isEmpty(data) ? '0x' : '0x' + removeLeadingZeroX(data);
+
+    this.timestamp = isEmpty(fields.timestamp) || fields.timestamp === 0
+        ? numberToHex(Math.floor(Date.now() / 1000))
+        : quantity('timestamp', fields.timestamp);
+    this.gas = quantity('gas', required('gas', gas));
+    this.gasPrice = quantity('gasPrice', required('gasPrice', fields.gasPrice));
+
+    if (!_.contains(_.values(TYPES), toBN(quantity('type', type)).toNumber())) {
+        throw new TransactionValidationError('type', 'Unknown transaction type ' + type);
+    }
+    this.type = quantity('type', type);
+
+    if (fields.jar !== undefined && toBN(this.type).toNumber() !== TYPES.AVM_CREATE) {
+        throw new TransactionValidationError('type', 'AVM deployments must use type ' + TYPES.AVM_CREATE);
+    }
+
+    this.from = isEmpty(fields.from) ? null : address('from', fields.from);
+}
+
+Transaction.TYPES = TYPES;
+Transaction.ENERGY = ENERGY;
+
+/**
+ * @return {boolean} true when the transaction deploys a contract
+ */
+Transaction.prototype.isContractCreation = function () {
+    return this.to === null;
+};
+
+/**
+ * @return {number} energy charged before any code runs: the base cost, the
+ * data bytes and the deployment surcharge
+ */
+Transaction.prototype.intrinsicEnergy = function () {
+    const data = Buffer.from(removeLeadingZeroX(this.data), 'hex');
+    const zeros = data.filter((byte) => byte === 0).length;
+
+    return ENERGY.TRANSACTION +
+        (this.isContractCreation() ? ENERGY.CREATE : 0) +
+        zeros * ENERGY.ZERO_BYTE +
+        (data.length - zeros) * ENERGY.NONZERO_BYTE;
+};
+
+/**
+ * @return {BN} gas * gasPrice, the most the sender can be charged
+ */
+Transaction.prototype.maxFee = function () {
+    return toBN(this.gas).mul(toBN(this.gasPrice));
+};
+
+/**
+ * @param {number} maxEnergy defaults to ENERGY.MAX_CALL, or ENERGY.MAX_CREATE
+ * for deployments
+ * @throws {TransactionValidationError} if gas is below the intrinsic energy
+ * or above maxEnergy
+ */
+Transaction.prototype.checkEnergy = function (maxEnergy) {
+    const gas = toBN(this.gas);
+    const intrinsic = this.intrinsicEnergy();
+
+    if (maxEnergy === undefined || maxEnergy === null) {
+        maxEnergy = this.isContractCreation() ? ENERGY.MAX_CREATE : ENERGY.MAX_CALL;
+    }
+
+    if (gas.ltn(intrinsic)) {
+        throw new TransactionValidationError('gas', '"gas" ' + gas.toString(10) + ' is below the intrinsic energy ' + intrinsic);
+    }
+    if (gas.gt(toBN(maxEnergy))) {
+        throw new TransactionValidationError('gas', '"gas" ' + gas.toString(10) + ' is above the limit ' + maxEnergy);
+    }
+};
+
+/**
+ * @return {buffer} rlp encoded unsigned payload
+ */
+Transaction.prototype.serializeUnsigned = function () {
+    return rlp.encode([
+        this.nonce,
+        this.to || '0x',
+        this.value,
+        this.data,
+        this.timestamp,
+        toAionLong(this.gas),
+        toAionLong(this.gasPrice),
+        this.type
+    ]);
+};
+
+/**
+ * Hash signed by the sender, returned as messageHash by signTransaction
+ * @return {string} blake2b256 hash prepended with '0x'
+ */
+Transaction.prototype.hash = function () {
+    return bufferToZeroXHex(blake2b256(this.serializeUnsigned()));
+};
+
+/**
+ * @param {object} account account returned by Accounts.create or privateKeyToAccount
+ * @return {Promise<object>} same as Accounts.signTransaction
+ */
+Transaction.prototype.sign = function (account) {
+    return account.signTransaction(this);
+};
+
+Transaction.prototype.toJSON = function () {
+    const json = {
+        nonce: this.nonce,
+        to: this.to,
+        value: this.value,
+        data: this.data,
+        timestamp: this.timestamp,
+        gas: this.gas,
+        gasPrice: this.gasPrice,
+        type: this.type
+    };
+
+    if (this.from !== null) {
+        json.from = this.from;
+    }
+    return json;
+};
+
+module.exports = Transaction;
@@ -7,9 +7,10 @@
 
 let {isString, isArray} = require('underscore');
 let {blake2b256, nacl} = require('./accounts-crypto');
+let rlp = require('aion-rlp');
 
 // static values
-const A0_IDENTIFIER = new Buffer('a0', 'hex');
+const A0_IDENTIFIER = Buffer.from('a0', 'hex');
 const ADDRESS_PATTERN = require('./accounts-pattern').address;
 
 let {
@@ -65,6 +66,22 @@ function createA0Address(publicKey) {
   return prependZeroX(address.toString('hex'))
 }
 
+/**
+ * Address of a contract deployed by sender, same as the kernel's
+ * blake2b256(rlp([sender, nonce])) with the first byte replaced by 0xa0
+ * @param {string|buffer} sender
+ * @param {BN} nonce nonce of the deploying transaction
+ * @return {string}
+ */
+function createContractAddress(sender, nonce) {
+  let senderBuf = isString(sender) ? Buffer.from(removeLeadingZeroX(sender), 'hex') : toBuffer(sender)
+  // nonce 0 is encoded as an empty string, not as 0x00
+  let nonceBuf = nonce.isZero() ? Buffer.alloc(0) : nonce.toArrayLike(Buffer)
+  let hash = Buffer.from(blake2b256(rlp.encode([senderBuf, nonceBuf]))).slice(1, 32)
+  let address = Buffer.concat([A0_IDENTIFIER, hash], 32)
+  return prependZeroX(address.toString('hex'))
+}
+
 function isAccountAddress(val) {
   if (val === undefined || isString(val) === false) {
     return false
@@ -103,7 +120,13 @@ function createChecksumAddress(val) {
   )
 }
 
-let isValidChecksumAddress = val => val === createChecksumAddress(val)
+let isValidChecksumAddress = val => prependZeroX(val) === createChecksumAddress(val)
+
+// all lowercase or all uppercase addresses carry no checksum
+function hasChecksum(val) {
+  let address = removeLeadingZeroX(val)
+  return address !== address.toLowerCase() && address !== address.toUpperCase()
+}
 
 function equalAddresses(addr1, addr2) {
   return (
@@ -116,9 +139,11 @@ module.exports = {
   createKeyPair,
   isPrivateKey,
   createA0Address,
+  createContractAddress,
   isAccountAddress,
   createChecksumAddress,
   isValidChecksumAddress,
+  hasChecksum,
   equalAddresses,
   aionPubSigLen
 }
\ No newline at end of file
@@ -0,0 +1,150 @@
+/**
+ * accounts-validate.js, structural checks for ksv3 keystores
+ *
+ * Checks everything that can be checked without the password. Each problem
+ * is reported as {code, path, message} so callers can branch on the code.
+ */
+
+const _ = require('underscore');
+const patterns = require('./accounts-pattern');
+
+const SUPPORTED_CIPHER = 'aes-128-ctr';
+const SUPPORTED_KDF = 'scrypt';
+
+// bounds for the scrypt parameters, dklen is fixed since the derived key
+// is split into a 16 byte cipher key and a 16 byte mac key
+const KDF_BOUNDS = Object.freeze({
+    n: { min: 2, max: 1048576 },
+    r: { min: 1, max: 32 },
+    p: { min: 1, max: 16 },
+    dklen: { min: 32, max: 32 }
+});
+
+// each bound alone still allows 128 * n * r = 4 GiB, so the combined cost
+// is capped at that of the strongest profile, paranoid (n = 2^20, r = 8,
+// p = 1): 128 * n * r bytes of memory and n * r * p block mixes
+const KDF_COST_LIMITS = Object.freeze({
+    memory: 128 * 1048576 * 8,
+    work: 1048576 * 8
+});
+
+const HEX_LENGTHS = Object.freeze({
+    'crypto.ciphertext': 64,
+    'crypto.cipherparams.iv': 16,
+    'crypto.kdfparams.salt': 32,
+    'crypto.mac': 32
+});
+
+const isHexOfLength = (val, bytes) =>
+    _.isString(val) && val.length === bytes * 2 && /^[0-9a-f]*$/i.test(val);
+
+const isPowerOfTwo = (n) => n > 0 && (n & (n - 1)) === 0;
+
+/**
+ * @param {object} kdfparams scrypt parameters within KDF_BOUNDS
+ * @return {string|null} message when deriving a key would cost more than
+ * KDF_COST_LIMITS allows
+ */
+const kdfCostProblem = (kdfparams) => {
+    if (128 * kdfparams.n * kdfparams.r > KDF_COST_LIMITS.memory) {
+        return 'scrypt would need ' + (128 * kdfparams.n * kdfparams.r) + ' bytes of memory, at most ' + KDF_COST_LIMITS.memory + ' are allowed';
+    }
+    if (kdfparams.n * kdfparams.r * kdfparams.p > KDF_COST_LIMITS.work) {
+        return 'n * r * p must be at most ' + KDF_COST_LIMITS.work;
+    }
+    return null;
+};
+
+/**
+ * Reads a dotted path from an object
+ * @return {*} undefined if any segment is missing
+ */
+const get = (obj, path) => path.split('.').reduce((val, key) => {
+    return _.isObject(val) ? val[key] : undefined;
+}, obj);
+
+const problem = (code, path, message) => ({ code: code, path: path, message: message });
+
+/**
+ * Checks the shape of a parsed keystore
+ * @param {object} json ksv3 (struct)
+ * @return {array} problems, empty when the keystore looks valid
+ */
+const validateKeystoreFields = (json) => {
+    if (!_.isObject(json) || _.isArray(json)) {
+        return [problem('NOT_AN_OBJECT', '', 'Keystore must be an object')];
+    }
+
+    const problems = [];
+
+    const required = [
+        'version', 'id', 'address', 'crypto',
+        'crypto.cipher', 'crypto.ciphertext', 'crypto.cipherparams', 'crypto.cipherparams.iv',
+        'crypto.kdf', 'crypto.kdfparams', 'crypto.kdfparams.salt', 'crypto.mac'
+    ];
+    required.forEach((path) => {
+        if (get(json, path) === undefined) {
+            problems.push(problem('MISSING_FIELD', path, 'Missing field "' + path + '"'));
+        }
+    });
+
+    if (json.version !== undefined && json.version !== 3) {
+        problems.push(problem('UNSUPPORTED_VERSION', 'version', 'Expected version 3, got ' + json.version));
+    }
+
+    if (json.id !== undefined && !(_.isString(json.id) && patterns.uuid.test(json.id))) {
+        problems.push(problem('INVALID_UUID', 'id', 'id must be a v4 uuid'));
+    }
+
+    if (json.address !== undefined && !(_.isString(json.address) && patterns.address.test(json.address))) {
+        problems.push(problem('INVALID_ADDRESS', 'address', 'address must be 32 bytes of hex'));
+    }
+
+    const cipher = get(json, 'crypto.cipher');
+    if (cipher !== undefined && cipher !== SUPPORTED_CIPHER) {
+        problems.push(problem('UNSUPPORTED_CIPHER', 'crypto.cipher', 'Unsupported cipher "' + cipher + '", expected ' + SUPPORTED_CIPHER));
+    }
+
+    const kdf = get(json, 'crypto.kdf');
+    if (kdf !== undefined && kdf !== SUPPORTED_KDF) {
+        problems.push(problem('UNSUPPORTED_KDF', 'crypto.kdf', 'Unsupported kdf "' + kdf + '", expected ' + SUPPORTED_KDF));
+    }
+
+    _.each(HEX_LENGTHS, (bytes, path) => {
+        const val = get(json, path);
+        if (val !== undefined && !isHexOfLength(val, bytes)) {
+            problems.push(problem('INVALID_HEX', path, path + ' must be ' + bytes + ' bytes of hex'));
+        }
+    });
+
+    const kdfparams = get(json, 'crypto.kdfparams');
+    if (_.isObject(kdfparams)) {
+        const before = problems.length;
+        _.each(KDF_BOUNDS, (bounds, name) => {
+            const path = 'crypto.kdfparams.' + name;
+            const val = kdfparams[name];
+
+            if (val === undefined) {
+                problems.push(problem('MISSING_FIELD', path, 'Missing field "' + path + '"'));
+            } else if (!_.isNumber(val) || val % 1 !== 0 || val < bounds.min || val > bounds.max) {
+                problems.push(problem('INVALID_KDF_PARAM', path, name + ' must be an integer between ' + bounds.min + ' and ' + bounds.max));
+            } else if (name === 'n' && !isPowerOfTwo(val)) {
+                problems.push(problem('INVALID_KDF_PARAM', path, 'n must be a power of 2'));
+            }
+        });
+
+        const costly = problems.length === before ? kdfCostProblem(kdfparams) : null;
+        if (costly !== null) {
+            problems.push(problem('KDF_TOO_EXPENSIVE', 'crypto.kdfparams', costly));
+        }
+    }
+
+    return problems;
+};
+
+module.exports = {
+    KDF_BOUNDS,
+    KDF_COST_LIMITS,
+    kdfCostProblem,
+    validateKeystoreFields
+};
@@ -0,0 +1,216 @@
+/**
+ * accounts-vault.js, one encrypted document for all accounts of a wallet
+ *
+ * A wallet of keystores runs scrypt once per account, a vault runs it once
+ * for the whole wallet and seals every account with nacl secretbox under
+ * its own nonce:
+ *
+ *   {version, kind: 'vault', kdf: 'scrypt', kdfparams, check, entries: [{address, nonce, ciphertext}]}
+ *
+ * The sealed payload holds the private key, label and meta of the account,
+ * so only the addresses can be read without the password. check seals a
+ * constant, a wrong password is detected even in an empty vault.
+ */
+
+const _ = require('underscore');
+
+const { nacl } = require('./accounts-crypto');
+const { createKeyPair, createA0Address } = require('./accounts-util');
+const { VaultError } = require('./accounts-errors');
+const { KDF_BOUNDS, kdfCostProblem } = require('./accounts-validate');
+
+const VAULT_VERSION = 1;
+const CHECK = 'aion-keystore vault';
+
+const isHex = (val) => _.isString(val) && val.length > 0 && val.length % 2 === 0 && /^[0-9a-f]*$/i.test(val);
+
+/**
+ * A vault comes from storage, so the scrypt parameters are bounded like
+ * those of keystores, alone and combined, costly ones would hang or exhaust
+ * memory
+ * @throws {VaultError}
+ */
+const checkKdfParams = (kdfparams) => {
+    _.each(KDF_BOUNDS, (bounds, name) => {
+        const val = kdfparams[name];
+        if (!_.isNumber(val) || val % 1 !== 0 || val < bounds.min || val > bounds.max) {
+            throw new VaultError('Vault kdfparams.' + name + ' must be an integer between ' + bounds.min + ' and ' + bounds.max);
+        }
+    });
+    if ((kdfparams.n & (kdfparams.n - 1)) !== 0) {
+        throw new VaultError('Vault kdfparams.n must be a power of 2');
+    }
+    const costly = kdfCostProblem(kdfparams);
+    if (costly !== null) {
+        throw new VaultError('Vault kdfparams too expensive, ' + costly);
+    }
+    if (kdfparams.dklen !== nacl.secretbox.keyLength) {
+        throw new VaultError('Vault kdfparams.dklen must be ' + nacl.secretbox.keyLength);
+    }
+    if (!isHex(kdfparams.salt)) {
+        throw new VaultError('Vault kdfparams.salt must be hex');
+    }
+};
+
+/**
+ * @throws {VaultError} unless box has a hex nonce and ciphertext of usable length
+ */
+const checkBox = (box, name) => {
+    if (!_.isObject(box)
+        || !isHex(box.nonce) || box.nonce.length !== nacl.secretbox.nonceLength * 2
+        || !isHex(box.ciphertext) || box.ciphertext.length < nacl.secretbox.overheadLength * 2) {
+        throw new VaultError('Vault ' + name + ' must have a ' + nacl.secretbox.nonceLength + ' byte hex nonce and a hex ciphertext');
+    }
+};
+
+const seal = (key, plaintext) => {
+    const nonce = nacl.randomBytes(nacl.secretbox.nonceLength);
+    const ciphertext = nacl.secretbox(plaintext, nonce, key);
+
+    return {
+        nonce: Buffer.from(nonce).toString('hex'),
+        ciphertext: Buffer.from(ciphertext).toString('hex')
+    };
+};
+
+/**
+ * @return {buffer|null} plaintext, null when the box does not open
+ */
+const open = (key, box) => {
+    const plaintext = nacl.secretbox.open(Buffer.from(box.ciphertext, 'hex'), Buffer.from(box.nonce, 'hex'), key);
+    return plaintext === null ? null : Buffer.from(plaintext);
+};
+
+/**
+ * @param {buffer} key 32 byte key derived from the password
+ * @param {object} account {privateKey, label, meta}
+ * @return {object} vault entry
+ */
+const sealEntry = (key, account) => {
+    const keyPair = createKeyPair({privateKey: account.privateKey});
+    const payload = Buffer.from(JSON.stringify({
+        privateKey: keyPair._privateKey.toString('hex'),
+        label: account.label,
+        meta: account.meta
+    }), 'utf8');
+
+    const entry = _.extend({address: createA0Address(keyPair._publicKey)}, seal(key, payload));
+    payload.fill(0);
+    keyPair._privateKey.fill(0);
+    return entry;
+};
+
+/**
+ * @param {buffer} key
+ * @param {object} entry
+ * @return {object} {address, privateKey, label, meta}
+ * @throws {VaultError} if the entry does not open or belongs to another address
+ */
+const openEntry = (key, entry) => {
+    const payload = open(key, entry);
+    if (payload === null) {
+        throw new VaultError('Could not decrypt the vault entry of ' + entry.address + ', the vault was modified');
+    }
+
+    const fields = JSON.parse(payload.toString('utf8'));
+    payload.fill(0);
+
+    const keyPair = createKeyPair({privateKey: '0x' + fields.privateKey});
+    if (createA0Address(keyPair._publicKey) !== entry.address) {
+        throw new VaultError('Vault entry of ' + entry.address + ' holds the key of another account');
+    }
+
+    return {
+        address: entry.address,
+        privateKey: '0x' + fields.privateKey,
+        label: fields.label,
+        meta: fields.meta
+    };
+};
+
+/**
+ * @param {buffer} key
+ * @param {object} kdfparams scrypt parameters key was derived with
+ * @param {array} accounts
+ * @return {object} vault
+ */
+const createVault = (key, kdfparams, accounts) => ({
+    version: VAULT_VERSION,
+    kind: 'vault',
+    kdf: 'scrypt',
+    kdfparams: kdfparams,
+    check: seal(key, Buffer.from(CHECK, 'utf8')),
+    entries: accounts.map((account) => sealEntry(key, account))
+});
+
+/**
+ * Parses a vault, as object or JSON string, and checks its structure
+ * @return {object} vault
+ * @throws {VaultError}
+ */
+const readVault = (vault) => {
+    if (_.isString(vault)) {
+        try {
+            vault = JSON.parse(vault);
+        } catch (e) {
+            throw new VaultError('Vault is not valid JSON');
+        }
+    }
+
+    if (!isVault(vault)) {
+        throw new VaultError('Expected a wallet vault');
+    }
+    if (vault.version !== VAULT_VERSION) {
+        throw new VaultError('Unsupported vault version ' + vault.version);
+    }
+    if (vault.kdf !== 'scrypt' || !_.isObject(vault.kdfparams) || !_.isObject(vault.check) || !_.isArray(vault.entries)) {
+        throw new VaultError('Vault is missing kdfparams, check or entries');
+    }
+
+    checkKdfParams(vault.kdfparams);
+    checkBox(vault.check, 'check');
+    vault.entries.forEach((entry, index) => {
+        checkBox(entry, 'entry ' + index);
+        if (!_.isString(entry.address) || !/^0x[0-9a-f]{64}$/.test(entry.address)) {
+            throw new VaultError('Vault entry ' + index + ' must have a lower case 0x prefixed address');
+        }
+    });
+    return vault;
+};
+
+/**
+ * @throws {VaultError} if key was not derived from the vault's password
+ */
+const checkKey = (key, vault) => {
+    const check = open(key, vault.check);
+    if (check === null || check.toString('utf8') !== CHECK) {
+        throw new VaultError('Could not open the vault, wrong password');
+    }
+};
+
+/**
+ * @param {object} val
+ * @return {boolean} true when val looks like a vault, as opposed to a list of keystores
+ */
+const isVault = (val) => _.isObject(val) && !_.isArray(val) && val.kind === 'vault';
+
+/**
+ * @param {buffer} key
+ * @param {object} vault as returned by readVault
+ * @return {array} {address, privateKey, label, meta} of every entry
+ */
+const openVault = (key, vault) => {
+    checkKey(key, vault);
+    return vault.entries.map((entry) => openEntry(key, entry));
+};
+
+module.exports = {
+    VAULT_VERSION,
+    isVault,
+    createVault,
+    readVault,
+    checkKey,
+    sealEntry,
+    openEntry,
+    openVault
+};
@@ -28,6 +28,10 @@ const uuid = require('uuid');
 const BN = require('bn.js');
 
 const accountsCrypto = require('./accounts-crypto');
+const hd = require('./accounts-hd');
+const isStorage = require('./accounts-storage').isStorage;
+const { HttpProvider, toProvider } = require('./accounts-provider');
+const validateKeystoreFields = require('./accounts-validate').validateKeystoreFields;
 const blake2b256 = accountsCrypto.blake2b256;
 const nacl = accountsCrypto.nacl;
 const scryptsy = accountsCrypto.scrypt;
@@ -38,8 +42,7 @@ const {
     prependZeroX,
     removeLeadingZeroX,
     bufferToZeroXHex,
-    inputCallFormatter,
-    numberToHex,
+    toBN,
     isHex,
     isHexStrict
 } = require('./accounts-format');
@@ -47,63 +50,93 @@ const {
 const {
     createKeyPair,
     createA0Address,
+    createContractAddress,
+    createChecksumAddress,
+    isValidChecksumAddress,
+    isAccountAddress,
     aionPubSigLen
 } = require('./accounts-util');
 
 const uuidV4Pattern = require('./accounts-pattern').uuid;
+const errors = require('./accounts-errors');
+const InvalidSignatureError = errors.InvalidSignatureError;
+const InvalidTransactionError = errors.InvalidTransactionError;
+const AbortError = errors.AbortError;
+const ProviderError = errors.ProviderError;
+const EnvelopeError = errors.EnvelopeError;
+const TransactionValidationError = errors.TransactionValidationError;
+const UnknownAccountError = errors.UnknownAccountError;
+const LockedAccountError = errors.LockedAccountError;
+
+// prefixed to messages before hashing, so that a signed message
+// can never be mistaken for a signed transaction
+// 0x15 is the length of "Aion Signed Message:\n", as in aion-web3
+const AION_MESSAGE_PREAMBLE = '\x15Aion Signed Message:\n';
 
 const rlp = require('aion-rlp');
-const AionLong = rlp.AionLong;
+const Transaction = require('./accounts-transaction');
+const abi = require('./accounts-abi');
+const avm = require('./accounts-avm');
+const envelopes = require('./accounts-envelope');
+const vaults = require('./accounts-vault');
+const { isSigner, LocalSigner, toSigner, publicKeyOf, signWith } = require('./accounts-signer');
 
 const isNot = function(value) {
     return (_.isUndefined(value) || _.isNull(value));
 };
 
-const Accounts = function Accounts() {
+/**
+ * @param {object} options {checksumAddresses: return mixed-case checksummed
+ * addresses from create, privateKeyToAccount and recover, provider: see
+ * setProvider, strictEnergy: true or {maxEnergy} to reject transactions
+ * with gas below the intrinsic energy or above the limit when signing}
+ */
+const Accounts = function Accounts(options) {
     var _this = this;
+    this.options = options || {};
+    this.provider = toProvider(this.options.provider);
     this.wallet = new Wallet(this);
 };
 
-const toAionLong = (val) => {
-    let num;
-    if (
-        val === undefined ||
-        val === null ||
-        val === '' ||
-        val === '0x'
-    ) {
-      return null;
-    }
-
-    if (typeof val === 'string') {
-        if (
-            val.indexOf('0x') === 0 ||
-            val.indexOf('0') === 0 ||
-            isHex(val) === true ||
-            isHexStrict(val) === true
-        ) {
-            num = new BN(removeLeadingZeroX(val), 16);
-        } else {
-            num = new BN(val, 10);
-        }
-    }
-
-    if (typeof val === 'number') {
-      num = new BN(val);
-    }
-
-    return new AionLong(num);
+/**
+ * Without a provider (the default) nothing is ever sent over the network
+ *
+ * @param {string|function|object} provider node url, a function
+ * (method, params) returning the result or a Promise of it, an object with
+ * such a send method, or null to go offline again
+ */
+Accounts.prototype.setProvider = function setProvider(provider) {
+    this.provider = toProvider(provider);
 };
 
 Accounts.prototype._addAccountFunctions = function (account) {
     const _this = this;
+    const key = () => account._signer || account._privateKey;
 
     // add sign functions
-    account.signTransaction = function signTransaction(tx, callback) {
-        return _this.signTransaction(tx, account._privateKey, callback);
+    account.signTransaction = function signTransaction(tx, options, callback) {
+        return _this.signTransaction(tx, key(), options, callback);
+    };
+    account.sendTransaction = function sendTransaction(tx, callback) {
+        return _this.sendTransaction(tx, key(), callback);
+    };
+    account.signBatch = function signBatch(txs, options) {
+        return _this.signBatch(txs, key(), options);
     };
+    account.signEnvelope = function signEnvelope(envelope) {
+        return _this.signEnvelope(envelope, key());
+    };
+    account.signAsync = function signAsync(data) {
+        return _this.signAsync(data, key());
+    };
+
+    // the key of a signer account never leaves the signer
+    if (account._signer) {
+        return account;
+    }
+
     account.sign = function sign(data) {
-        return _this.sign(data, account._privateKey);
+        return _this.sign(data, key());
     };
 
     account.encrypt = function encrypt(password, options) {
@@ -114,6 +147,14 @@ Accounts.prototype._addAccountFunctions = function (account) {
         return _this.encryptToRlp(account._privateKey, password, options);
     }
 
+    account.encryptAsync = function encryptAsync(password, options) {
+        return _this.encryptAsync(account._privateKey, password, options);
+    };
+
+    account.encryptToRlpAsync = function encryptToRlpAsync(password, options) {
+        return _this.encryptToRlpAsync(account._privateKey, password, options);
+    };
+
     return account;
 };
 
@@ -129,25 +170,135 @@ const createAionAccount = function (opts) {
     return account;
 };
 
+Accounts.prototype._formatAddress = function _formatAddress(address) {
+    return this.options.checksumAddresses ? createChecksumAddress(address) : address;
+};
+
+Accounts.prototype._createAccount = function _createAccount(opts) {
+    const account = createAionAccount(opts);
+    account.address = this._formatAddress(account.address);
+    return this._addAccountFunctions(account);
+};
+
 Accounts.prototype.create = function create(entropy) {
-    return this._addAccountFunctions(createAionAccount({entropy: entropy}));
+    return this._createAccount({entropy: entropy});
 };
 
 Accounts.prototype.privateKeyToAccount = function privateKeyToAccount(privateKey) {
-    return this._addAccountFunctions(createAionAccount({privateKey: privateKey}));
+    return this._createAccount({privateKey: privateKey});
 };
 
 /**
- * Note: has reduced functionality, does not query server if chainId, gasPrice or nonce
- * is not provided by the user. Instead it will reject the promise.
+ * Creates an account that signs through signer, it has no privateKey and
+ * no sign or encrypt functions, messages are signed with signAsync
+ *
+ * @method signerToAccount
+ * @param {object} signer see accounts-signer.js
+ * @return {Promise<object>} account
  */
-Accounts.prototype.signTransaction = function signTransaction(tx, privateKey, callback) {
+Accounts.prototype.signerToAccount = function signerToAccount(signer) {
     const _this = this;
-    let error = false, result;
 
-    const account = this.privateKeyToAccount(privateKey);
+    if (!isSigner(signer)) {
+        return Promise.reject(new Error('Signer must implement getPublicKey and signHash'));
+    }
+
+    return publicKeyOf(signer).then((publicKey) => _this._addAccountFunctions({
+        address: _this._formatAddress(createA0Address(publicKey)),
+        publicKey: bufferToZeroXHex(publicKey),
+        _signer: signer
+    }));
+};
+
+Accounts.prototype.toChecksumAddress = function toChecksumAddress(address) {
+    if (!isAccountAddress(address)) {
+        throw new Error('Provided address "' + address + '" is invalid');
+    }
+    return createChecksumAddress(address);
+};
+
+Accounts.prototype.isValidChecksumAddress = function (address) {
+    return isAccountAddress(address) && isValidChecksumAddress(address);
+};
+
+/**
+ * Predicts the address of a contract deployed by sender
+ *
+ * @method computeContractAddress
+ * @param {string} sender address of the deploying account
+ * @param {number|string|BN} nonce nonce of the deploying transaction
+ * @return {string} contract address
+ */
+Accounts.prototype.computeContractAddress = function computeContractAddress(sender, nonce) {
+    if (!isAccountAddress(sender)) {
+        throw new Error('Provided address "' + sender + '" is invalid');
+    }
+
+    const bn = toBN(nonce);
+    if (bn.isNeg()) {
+        throw new Error('Nonce must not be negative, got ' + bn.toString(10));
+    }
+    return this._formatAddress(createContractAddress(sender, bn));
+};
+
+Accounts.prototype.generateMnemonic = function generateMnemonic(strength) {
+    return hd.generateMnemonic(strength);
+};
+
+Accounts.prototype.validateMnemonic = function validateMnemonic(mnemonic) {
+    return hd.validateMnemonic(mnemonic);
+};
+
+/**
+ * Derives an account from a BIP39 mnemonic following SLIP-0010
+ *
+ * @method mnemonicToAccount
+ * @param {string} mnemonic
+ * @param {number|string} indexOrPath index under m/44'/425'/0'/0'/i', or a full hardened path
+ * @param {string} passphrase optional BIP39 passphrase
+ * @return {object} account
+ */
+Accounts.prototype.mnemonicToAccount = function mnemonicToAccount(mnemonic, indexOrPath, passphrase) {
+    return this._seedToAccount(hd.mnemonicToSeed(mnemonic, passphrase), indexOrPath);
+};
+
+Accounts.prototype._seedToAccount = function _seedToAccount(seed, indexOrPath) {
+    const path = _.isString(indexOrPath) ? indexOrPath : hd.aionPath(indexOrPath || 0);
+    const derived = hd.derivePath(path, seed);
+    return this._createAccount({entropy: derived.key});
+};
 
+/**
+ * Note: without a provider nonce and gasPrice must be given, otherwise the
+ * promise is rejected. With a provider missing nonce, gasPrice and gas are
+ * fetched from the node, see _fillTransaction.
+ *
+ * tx is a plain object or a Transaction, invalid fields reject with
+ * TransactionValidationError. Contract calls can pass {abi, method, args}
+ * (FVM) or {method, types, args} (AVM) instead of data, AVM deployments
+ * {jar, types, args}. Deployments (no to) also resolve with the
+ * contractAddress the contract will have.
+ *
+ * privateKey can also be a signer, see accounts-signer.js, the key then
+ * never enters this process.
+ *
+ * options {strictEnergy} overrides the strictEnergy option of the
+ * constructor for this transaction, false turns the check off. It can be
+ * left out, signTransaction(tx, privateKey, callback) works as before.
+ */
+Accounts.prototype.signTransaction = function signTransaction(tx, privateKey, options, callback) {
+    const _this = this;
+    let error = false;
+
+    const signer = toSigner(privateKey);
+
+    if (_.isFunction(options)) {
+        callback = options;
+        options = {};
+    }
+    options = options || {};
     callback = callback || function () {};
+    const strictEnergy = isNot(options.strictEnergy) ? this.options.strictEnergy : options.strictEnergy;
 
     if (!tx) {
         error = new Error('No transaction object given!');
@@ -156,59 +307,20 @@ Accounts.prototype.signTransaction = function signTransaction(tx, privateKey, ca
         return Promise.reject(error);
     }
 
-    const signed = (tx) => {
-
-        if (!tx.gas && !tx.gasLimit) {
-            error = new Error('"gas" is missing');
+    const signed = (tx) => Promise.resolve().then(() => {
+        const transaction = tx instanceof Transaction ? tx : new Transaction(tx);
+        if (strictEnergy) {
+            transaction.checkEnergy(strictEnergy.maxEnergy);
         }
+        const rlpEncoded = transaction.serializeUnsigned();
 
-        if (tx.nonce  < 0 ||
-            tx.gas  < 0 ||
-            tx.gasPrice  < 0 ||
-            tx.chainId  < 0 ||
-            tx.type < 0) {
-            error = new Error('Gas, gasPrice, nonce or chainId is lower than 0');
-        }
-
-        if (error) {
-            callback(error);
-            return Promise.reject(error);
-        }
-
-        try {
-            tx = inputCallFormatter(tx);
-
-            const transaction = tx;
-            transaction.to = tx.to || '0x';
-            transaction.data = tx.data || '0x';
-            transaction.value = tx.value || '0x';
-            transaction.timestamp = tx.timestamp || Math.floor(Date.now() / 1000);
-            transaction.type = numberToHex(tx.type || 1);
-
-            const rlpEncoded = rlp.encode([
-                transaction.nonce,
-                transaction.to.toLowerCase(),
-                transaction.value,
-                transaction.data,
-                transaction.timestamp,
-                toAionLong(transaction.gas),
-                toAionLong(transaction.gasPrice),
-                transaction.type
-            ]);
-
-            // hash encoded message
-            const hash = blake2b256(rlpEncoded);
-
-            // sign with nacl
-            const signature = toBuffer(nacl.sign.detached(hash, account._privateKey));
-
-            // verify nacl signature
-            if (nacl.sign.detached.verify(hash, signature, account._publicKey) === false) {
-                throw new Error('Could not verify signature.');
-            }
+        // hash encoded message
+        const hash = blake2b256(rlpEncoded);
 
+        // sign and verify the signature against the signer's public key
+        return signWith(signer, hash).then((pubSig) => {
             // aion-specific signature scheme
-            const aionPubSig = Buffer.concat([account._publicKey, signature], aionPubSigLen);
+            const aionPubSig = Buffer.concat([pubSig.publicKey, pubSig.signature], aionPubSigLen);
 
             // add the aion pub-sig
             const rawTx = rlp.decode(rlpEncoded).concat(aionPubSig);
@@ -216,50 +328,485 @@ Accounts.prototype.signTransaction = function signTransaction(tx, privateKey, ca
             // re-encode with signature included
             const rawTransaction = rlp.encode(rawTx);
 
-            result = {
+            const result = {
                 messageHash: bufferToZeroXHex(hash),
                 signature: bufferToZeroXHex(aionPubSig),
-                rawTransaction: bufferToZeroXHex(rawTransaction)
+                rawTransaction: bufferToZeroXHex(rawTransaction),
+                transactionHash: bufferToZeroXHex(blake2b256(rawTransaction))
             };
 
-        } catch(e) {
-            callback(e, null);
-            return Promise.reject(e);
-        }
+            if (transaction.isContractCreation()) {
+                result.contractAddress = _this.computeContractAddress(createA0Address(pubSig.publicKey), transaction.nonce);
+            }
+            return result;
+        });
+    });
 
+    const done = (promise) => promise.then((result) => {
         callback(null, result);
         return result;
-    }
+    }, (e) => {
+        callback(e, null);
+        throw e;
+    });
+
+    const hasGas = !isNot(tx.gas) || !isNot(tx.gasLimit);
 
     // Resolve immediately if nonce, chainId and price are provided
-    if (tx.nonce !== undefined && tx.gasPrice !== undefined) {
-        return Promise.resolve(signed(tx));
+    if (tx instanceof Transaction || (tx.nonce !== undefined && tx.gasPrice !== undefined && (this.provider === null || hasGas))) {
+        return done(signed(tx));
+    }
+
+    if (this.provider !== null) {
+        return done(this._signerAddress(signer).then((from) => _this._fillTransaction(tx, from)).then(signed));
     }
 
     // otherwise if either of these things aren't provided, simply throw
     return Promise.reject(new Error("nonce, chainId or gasPrice was not provided"));
 };
 
-/* jshint ignore:start */
+/**
+ * @param {object} signer
+ * @return {Promise<string>} address of the signer
+ */
+Accounts.prototype._signerAddress = function _signerAddress(signer) {
+    return publicKeyOf(signer).then((publicKey) => this._formatAddress(createA0Address(publicKey)));
+};
+
+/**
+ * Transaction for fee and energy calculations, nonce, gas and gasPrice are
+ * not part of them and default to 0 when missing
+ */
+const draftTransaction = (tx) => {
+    if (tx instanceof Transaction) {
+        return tx;
+    }
+
+    const defaults = {};
+    ['nonce', 'gas', 'gasPrice'].forEach((key) => {
+        if (isNot(tx[key]) && (key !== 'gas' || isNot(tx.gasLimit))) {
+            defaults[key] = 0;
+        }
+    });
+    return new Transaction(Object.assign({}, tx, defaults));
+};
+
+/**
+ * Energy charged before any code runs: 21000, 4 per zero and 64 per non-zero
+ * data byte, and 200000 more for deployments
+ *
+ * @method intrinsicEnergy
+ * @param {object} tx transaction fields or Transaction
+ * @return {number}
+ */
+Accounts.prototype.intrinsicEnergy = function intrinsicEnergy(tx) {
+    return draftTransaction(tx).intrinsicEnergy();
+};
+
+/**
+ * @method maxFee
+ * @param {object} tx transaction fields or Transaction
+ * @return {BN} gas * gasPrice, in the smallest unit
+ */
+Accounts.prototype.maxFee = function maxFee(tx) {
+    return draftTransaction(tx).maxFee();
+};
+
+/**
+ * Fetches missing nonce (pending count of from), gasPrice and gas (estimated
+ * with the encoded data) from the provider
+ *
+ * @param {object} tx plain transaction object, not modified
+ * @param {string} from sender address
+ * @return {Promise<object>} copy of tx with the missing fields filled in
+ */
+Accounts.prototype._fillTransaction = function _fillTransaction(tx, from) {
+    const provider = this.provider;
+    const filled = Object.assign({}, tx);
+
+    const fill = (key, method, params) => {
+        if (!isNot(filled[key])) {
+            return Promise.resolve();
+        }
+        return provider.send(method, params).then((result) => {
+            filled[key] = result;
+        });
+    };
+
+    return Promise.all([
+        fill('nonce', 'eth_getTransactionCount', [from, 'pending']),
+        fill('gasPrice', 'eth_gasPrice', [])
+    ]).then(() => {
+        if (!isNot(filled.gas) || !isNot(filled.gasLimit)) {
+            return filled;
+        }
+
+        // contract data is only known after encoding, gas is not part of it
+        const draft = draftTransaction(filled);
+        const call = {
+            from: from,
+            value: draft.value === '0x' ? '0x0' : draft.value,
+            data: draft.data
+        };
+        if (draft.to !== null) {
+            call.to = draft.to;
+        }
+
+        return fill('gas', 'eth_estimateGas', [call]).then(() => filled);
+    });
+};
+
+/**
+ * Signs the transaction, filling missing fields like signTransaction, and
+ * submits it with eth_sendRawTransaction
+ *
+ * @return {Promise<string>} transaction hash returned by the node
+ */
+Accounts.prototype.sendTransaction = function sendTransaction(tx, privateKey, callback) {
+    const provider = this.provider;
+    callback = callback || function () {};
+
+    if (provider === null) {
+        const error = new ProviderError('No provider set, see Accounts.setProvider');
+        callback(error, null);
+        return Promise.reject(error);
+    }
+
+    return this.signTransaction(tx, privateKey).then((signed) => {
+        return provider.send('eth_sendRawTransaction', [signed.rawTransaction]);
+    }).then((hash) => {
+        callback(null, hash);
+        return hash;
+    }, (e) => {
+        callback(e, null);
+        throw e;
+    });
+};
+
+/**
+ * @return {function} timestamp for the next transaction of a batch,
+ * undefined leaves it to Transaction (the current time)
+ */
+const batchTimestamp = (strategy) => {
+    if (strategy === undefined || strategy === 'now') {
+        return () => undefined;
+    }
+    if (strategy === 'batch') {
+        const now = Math.floor(Date.now() / 1000);
+        return () => now;
+    }
+    if (_.isNumber(strategy)) {
+        return () => strategy;
+    }
+    throw new Error('Unknown timestamp strategy "' + strategy + '", use "now", "batch" or a number');
+};
+
+/**
+ * Signs transactions of one sender with consecutive nonces. A failing item
+ * is reported in its result and does not use up a nonce, so the signed
+ * transactions never leave a gap.
+ *
+ * @method signBatch
+ * @param {array} txs transaction fields, nonce is assigned by the batch
+ * @param {string|object} privateKey private key or signer
+ * @param {object} options {nonce: nonce of the first transaction, fetched
+ * from the provider when left out, defaults: fields shared by all
+ * transactions, timestamp: 'now' (default, when each is signed), 'batch'
+ * (one for all) or a fixed number, verify: recover every signature and
+ * check it against the sender, strictEnergy: see signTransaction}
+ * @return {Promise<object>} {results: [{index, nonce, result, error}],
+ * nextNonce}, result is what signTransaction resolves with
+ */
+Accounts.prototype.signBatch = function signBatch(txs, privateKey, options) {
+    const _this = this;
+    options = options || {};
+
+    return Promise.resolve().then(() => {
+        if (!_.isArray(txs)) {
+            throw new Error('Expected an array of transactions');
+        }
+
+        const signer = toSigner(privateKey);
+        const timestamp = batchTimestamp(options.timestamp);
+
+        if (isNot(options.nonce) && _this.provider === null) {
+            throw new TransactionValidationError('nonce', '"nonce" is missing, pass it in the options or set a provider');
+        }
+
+        let address;
+        return _this._signerAddress(signer).then((from) => {
+            address = from;
+            return isNot(options.nonce) ? _this.provider.send('eth_getTransactionCount', [from, 'pending']) : options.nonce;
+        }).then((nonce) => {
+            let next = toBN(nonce).toNumber();
+
+            return sequence(txs, (tx, index) => {
+                const item = {index: index, nonce: null, result: null, error: null};
+
+                return Promise.resolve().then(() => {
+                    if (!_.isObject(tx)) {
+                        throw new Error('No transaction object given!');
+                    }
+                    if (!isNot(tx.nonce)) {
+                        throw new TransactionValidationError('nonce', '"nonce" is assigned by the batch, leave it out');
+                    }
+
+                    const fields = Object.assign({timestamp: timestamp()}, options.defaults, tx, {nonce: next});
+                    return _this.signTransaction(fields, signer, _.pick(options, 'strictEnergy'));
+                }).then((result) => {
+                    if (options.verify) {
+                        const decoded = _this.decodeTransaction(result.rawTransaction);
+                        const sender = _this.recoverTransaction(result.rawTransaction);
+                        if (sender.toLowerCase() !== address.toLowerCase() || !decoded.nonce.eqn(next)) {
+                            throw new InvalidSignatureError('Signed transaction ' + index + ' does not verify');
+                        }
+                    }
+
+                    item.nonce = next++;
+                    item.result = result;
+                }).catch((e) => {
+                    // a failed item, verification included, does not end the batch
+                    item.error = e;
+                }).then(() => item);
+            }).then((results) => ({results: results, nextNonce: next}));
+        });
+    });
+};
+
+/**
+ * Exports a transaction for signing on another (offline) machine. Missing
+ * fields are filled from the provider when one is set.
+ *
+ * @method exportUnsigned
+ * @param {object} tx transaction fields or Transaction
+ * @param {string} from expected sender, defaults to tx.from
+ * @return {Promise<object>} unsigned envelope, see accounts-envelope.js
+ */
+Accounts.prototype.exportUnsigned = function exportUnsigned(tx, from) {
+    const _this = this;
+
+    return Promise.resolve().then(() => {
+        if (!tx) {
+            throw new Error('No transaction object given!');
+        }
+
+        const fields = tx instanceof Transaction ? tx.toJSON() : tx;
+        from = from || fields.from;
+        if (isNot(from)) {
+            throw new TransactionValidationError('from', '"from" is missing, the envelope needs the expected sender');
+        }
+
+        const complete = !isNot(fields.nonce) && !isNot(fields.gasPrice) &&
+            (!isNot(fields.gas) || !isNot(fields.gasLimit));
+        return complete || _this.provider === null ? fields : _this._fillTransaction(fields, from);
+    }).then((fields) => {
+        const transaction = new Transaction(Object.assign({}, fields, {from: from}));
+        return envelopes.createUnsigned(transaction, transaction.from);
+    });
+};
+
+/**
+ * Signs an unsigned envelope, the key must belong to the expected sender.
+ * The summary is rebuilt from the fields rather than copied.
+ *
+ * @method signEnvelope
+ * @param {object|string} envelope unsigned envelope, or its JSON
+ * @param {string|object} privateKey private key or signer
+ * @return {Promise<object>} signed envelope with messageHash, rawTransaction
+ * and transactionHash
+ */
+Accounts.prototype.signEnvelope = function signEnvelope(envelope, privateKey) {
+    const _this = this;
+
+    return Promise.resolve().then(() => {
+        const unsigned = envelopes.readEnvelope(envelope, 'unsigned');
+        const signer = toSigner(privateKey);
+        const from = unsigned.envelope.from;
+
+        return _this._signerAddress(signer).then((address) => {
+            if (address.toLowerCase() !== from.toLowerCase()) {
+                throw new EnvelopeError('Envelope expects sender ' + from + ', the key belongs to ' + address);
+            }
+            return _this.signTransaction(unsigned.transaction, signer);
+        }).then((signed) => {
+            return Object.assign(envelopes.createUnsigned(unsigned.transaction, from), {
+                kind: 'signed',
+                messageHash: signed.messageHash,
+                rawTransaction: signed.rawTransaction,
+                transactionHash: signed.transactionHash
+            });
+        });
+    });
+};
+
+/**
+ * Checks a signed envelope against the envelope that was exported: the raw
+ * transaction must carry exactly the exported fields and a valid signature
+ * of the expected sender
+ *
+ * @method verifySignedEnvelope
+ * @param {object|string} signed signed envelope, or its JSON
+ * @param {object|string} exported unsigned envelope, or its JSON
+ * @return {string} rawTransaction, ready to broadcast
+ * @throws {EnvelopeError} if the envelopes do not match
+ * @throws {InvalidSignatureError} if the signature does not verify
+ */
+Accounts.prototype.verifySignedEnvelope = function verifySignedEnvelope(signed, exported) {
+    const signedEnvelope = envelopes.readEnvelope(signed, 'signed').envelope;
+    const unsigned = envelopes.readEnvelope(exported, 'unsigned');
+    const expectedHash = unsigned.transaction.hash();
+    const from = unsigned.envelope.from;
+
+    const decoded = this.decodeTransaction(signedEnvelope.rawTransaction);
+    if (decoded.messageHash !== expectedHash || signedEnvelope.messageHash !== expectedHash) {
+        throw new EnvelopeError('Signed transaction does not match the exported transaction');
+    }
+
+    const sender = this.recoverTransaction(signedEnvelope.rawTransaction);
+    if (sender.toLowerCase() !== from.toLowerCase()) {
+        throw new EnvelopeError('Transaction is signed by ' + sender + ', expected ' + from);
+    }
+
+    return signedEnvelope.rawTransaction;
+};
+
+/**
+ * Checks an aion pub-sig blob against a hash
+ *
+ * @param {buffer} hash signed payload hash
+ * @param {string|buffer} pubSig publicKey + signature blob (aionPubSigLen bytes)
+ * @return {buffer} public key of the signer
+ * @throws {InvalidSignatureError} if the blob is malformed or does not verify
+ */
+const verifyPubSig = (hash, pubSig) => {
+    pubSig = toBuffer(pubSig);
+    if (pubSig.length !== aionPubSigLen) {
+        throw new InvalidSignatureError('Signature must be ' + aionPubSigLen + ' bytes, got ' + pubSig.length);
+    }
+
+    const publicKey = pubSig.slice(0, nacl.sign.publicKeyLength);
+    const signature = pubSig.slice(nacl.sign.publicKeyLength, aionPubSigLen);
+    if (nacl.sign.detached.verify(hash, signature, publicKey) === false) {
+        throw new InvalidSignatureError('Signature does not match the signed payload');
+    }
+    return publicKey;
+};
+
+/**
+ * Splits a signed raw transaction into its rlp fields
+ *
+ * @param {string|buffer} rawTx signed rlp encoded transaction
+ * @return {array} the 8 unsigned fields followed by the pub-sig
+ * @throws {InvalidTransactionError} if the layout is not a signed Aion transaction
+ */
+const decodeSignedFields = (rawTx) => {
+    let fields;
+    try {
+        fields = rlp.decode(toBuffer(rawTx));
+    } catch (e) {
+        throw new InvalidTransactionError('Invalid RLP in raw transaction: ' + e.message);
+    }
+
+    if (!_.isArray(fields) || fields.length !== 9) {
+        throw new InvalidTransactionError('Not a signed Aion transaction');
+    }
+
+    return fields;
+};
+
+/**
+ * Recovers the sender of a signed raw transaction, the trailing pub-sig is
+ * stripped and verified against the blake2b256 hash of the unsigned payload
+ *
+ * @method recoverTransaction
+ * @param {string|buffer} rawTx signed rlp encoded transaction
+ * @return {string} address of the sender
+ * @throws {InvalidSignatureError} if the signature does not verify
+ */
 Accounts.prototype.recoverTransaction = function recoverTransaction(rawTx) {
-    return this.recover(null, rlp.decode(rawTx).pop());
+    const fields = decodeSignedFields(rawTx);
+    const pubSig = fields.pop();
+    const hash = blake2b256(rlp.encode(fields));
+    return this._formatAddress(createA0Address(verifyPubSig(hash, pubSig)));
 };
-/* jshint ignore:end */
 
+/**
+ * Decodes a signed raw transaction, the inverse of signTransaction. The
+ * signature is not verified, use recoverTransaction for that.
+ *
+ * @method decodeTransaction
+ * @param {string|buffer} rawTransaction signed rlp encoded transaction
+ * @return {object} transaction fields, sender, messageHash and transactionHash
+ * @throws {InvalidTransactionError} if the layout is not a signed Aion transaction
+ */
+Accounts.prototype.decodeTransaction = function decodeTransaction(rawTransaction) {
+    const raw = toBuffer(rawTransaction);
+    const fields = decodeSignedFields(raw);
+    const pubSig = fields[8];
+    const publicKey = pubSig.slice(0, nacl.sign.publicKeyLength);
 
-Accounts.prototype.hashMessage = function hashMessage(data) {
-    throw new Error("functionality currently not supported");
+    return {
+        nonce: new BN(fields[0]),
+        to: fields[1].length === 0 ? null : bufferToZeroXHex(fields[1]),
+        value: new BN(fields[2]),
+        data: bufferToZeroXHex(fields[3]),
+        timestamp: new BN(fields[4]),
+        gas: new BN(fields[5]),
+        gasPrice: new BN(fields[6]),
+        type: new BN(fields[7]).toNumber(),
+        from: this._formatAddress(createA0Address(publicKey)),
+        publicKey: bufferToZeroXHex(publicKey),
+        signature: bufferToZeroXHex(pubSig),
+        messageHash: bufferToZeroXHex(blake2b256(rlp.encode(fields.slice(0, 8)))),
+        transactionHash: bufferToZeroXHex(blake2b256(raw))
+    };
+};
 
-    const message = isHexStrict(data) ? Buffer.from(data.substring(2), 'hex') : data;
+/**
+ * Hash the kernel and explorers know a transaction by, the blake2b256 hash
+ * of the whole signed transaction (unlike messageHash, which leaves out the
+ * signature). Known before the transaction is broadcast.
+ *
+ * @method transactionHash
+ * @param {string|buffer} rawTransaction signed rlp encoded transaction
+ * @return {string} blake2b256 hash prepended with '0x'
+ * @throws {InvalidTransactionError} if the layout is not a signed Aion transaction
+ */
+Accounts.prototype.transactionHash = function transactionHash(rawTransaction) {
+    const raw = toBuffer(rawTransaction);
+    decodeSignedFields(raw);
+    return bufferToZeroXHex(blake2b256(raw));
+};
+
+/**
+ * Hashes a message for signing, the message is prefixed with the Aion
+ * signed message preamble and the byte length of the message
+ *
+ * @method hashMessage
+ * @param {string|buffer} data utf8 string, 0x prefixed hex string or buffer
+ * @return {string} blake2b256 hash prepended with '0x'
+ */
+Accounts.prototype.hashMessage = function hashMessage(data) {
+    const message = isHexStrict(data) ? Buffer.from(removeLeadingZeroX(data), 'hex') : data;
     const messageBuffer = Buffer.from(message);
-    const preamble = "\Aion Signed Message:\n" + message.length;
+    const preamble = AION_MESSAGE_PREAMBLE + messageBuffer.length;
     const preambleBuffer = Buffer.from(preamble);
-    const ethMessage = Buffer.concat([preambleBuffer, messageBuffer]);
-    return "0x" + blake2b256(ethMessage).toString('hex');
+    const aionMessage = Buffer.concat([preambleBuffer, messageBuffer]);
+    return bufferToZeroXHex(blake2b256(aionMessage));
 };
 
+/**
+ * Signs a message with a private key, see hashMessage and signAsync
+ *
+ * @method sign
+ * @param {string|buffer} data
+ * @param {string|buffer} privateKey
+ * @return {object} {message, messageHash, signature}
+ */
 Accounts.prototype.sign = function sign(data, privateKey) {
-    throw new Error("functionality currently not supported");
+    if (isSigner(privateKey)) {
+        throw new Error('sign needs a private key, use signAsync to sign with a signer');
+    }
 
     const account = this.privateKeyToAccount(privateKey);
     const publicKey = account._publicKey;
@@ -267,7 +814,7 @@ Accounts.prototype.sign = function sign(data, privateKey) {
     const signature = toBuffer(
         nacl.sign.detached(
             toBuffer(hash),
-            toBuffer(privateKey)
+            account._privateKey
         )
     );
     // address + message signature
@@ -282,16 +829,82 @@ Accounts.prototype.sign = function sign(data, privateKey) {
     };
 };
 
-Accounts.prototype.recover = function recover(message, signature) {
-    const sig = signature || (message && message.signature);
-    const publicKey = toBuffer(sig).slice(0, nacl.sign.publicKeyLength);
-    return createA0Address(publicKey);
+/**
+ * Same as sign, for private keys and signers alike
+ *
+ * @method signAsync
+ * @param {string|buffer} data
+ * @param {string|object} privateKey private key, or a signer
+ * @return {Promise<object>} {message, messageHash, signature}
+ */
+Accounts.prototype.signAsync = function signAsync(data, privateKey) {
+    const _this = this;
+
+    return Promise.resolve().then(() => {
+        const messageHash = _this.hashMessage(data);
+        return signWith(toSigner(privateKey), toBuffer(messageHash)).then((pubSig) => ({
+            message: data,
+            messageHash: messageHash,
+            signature: bufferToZeroXHex(Buffer.concat([pubSig.publicKey, pubSig.signature], aionPubSigLen))
+        }));
+    });
 };
 
-// Taken from https://github.com/ethereumjs/ethereumjs-wallet
-Accounts.prototype.decrypt = function (v3Keystore, password, nonStrict) {
-    /* jshint maxcomplexity: 10 */
+/**
+ * Checks that a signature produced by sign is valid for the message
+ *
+ * @method verifyMessage
+ * @param {string|buffer|object} message message or the object returned by sign
+ * @param {string|buffer} signature publicKey + signature blob (aionPubSigLen bytes)
+ * @return {boolean} true if the signature is valid for the message
+ */
+Accounts.prototype.verifyMessage = function verifyMessage(message, signature) {
+    if (_.isObject(message) && !Buffer.isBuffer(message)) {
+        return this.verifyMessage(message.message, message.signature);
+    }
+
+    try {
+        verifyPubSig(toBuffer(this.hashMessage(message)), signature);
+        return true;
+    } catch (e) {
+        if (e instanceof InvalidSignatureError) {
+            return false;
+        }
+        throw e;
+    }
+};
 
+/**
+ * Recovers the address that signed a message, only if the signature is valid
+ *
+ * @method recover
+ * @param {string|buffer|object} message message, hash (preFixed) or the object returned by sign
+ * @param {string|buffer} signature publicKey + signature blob (aionPubSigLen bytes)
+ * @param {boolean} preFixed true if message is already the output of hashMessage
+ * @return {string} address of the signer
+ * @throws {InvalidSignatureError} if the signature does not verify
+ */
+Accounts.prototype.recover = function recover(message, signature, preFixed) {
+    if (_.isObject(message) && !Buffer.isBuffer(message)) {
+        if (message.message === undefined) {
+            return this.recover(message.messageHash, message.signature, true);
+        }
+        return this.recover(message.message, message.signature);
+    }
+
+    const hash = preFixed ? toBuffer(message) : toBuffer(this.hashMessage(message));
+    return this._formatAddress(createA0Address(verifyPubSig(hash, signature)));
+};
+
+/**
+ * Parses a keystore and checks the parts needed before key derivation
+ *
+ * @param {object|string} v3Keystore
+ * @param {string} password
+ * @param {boolean} nonStrict lowercase the keystore before parsing
+ * @return {object} ksv3 (struct)
+ */
+const readKeystore = (v3Keystore, password, nonStrict) => {
     if(!_.isString(password)) {
         throw new Error('No password given.');
     }
@@ -302,36 +915,33 @@ Accounts.prototype.decrypt = function (v3Keystore, password, nonStrict) {
         throw new Error('Not a valid V3 wallet');
     }
 
-    let derivedKey;
-    let kdfparams;
-    if (json.crypto.kdf === 'scrypt') {
-        kdfparams = json.crypto.kdfparams;
-
-        // FIXME: support progress reporting callback
-        derivedKey = scryptsy(new Buffer(password), new Buffer(kdfparams.salt, 'hex'), kdfparams.n, kdfparams.r, kdfparams.p, kdfparams.dklen);
-    } else if (json.crypto.kdf === 'pbkdf2') {
+    if (json.crypto.kdf === 'pbkdf2') {
         throw new Error('pbkdf2 is unsupported by AION keystore format');
-    } else {
+    } else if (json.crypto.kdf !== 'scrypt') {
         throw new Error('Unsupported key derivation scheme');
     }
 
-    const ciphertext = new Buffer(json.crypto.ciphertext, 'hex');
-
-    let mac = blake2b256(Buffer.concat([ derivedKey.slice(16, 32), ciphertext ])).toString('hex');
-    if (mac !== json.crypto.mac) {
-        throw new Error('Key derivation failed - possibly wrong password');
-    }
-
-    const decipher = cryp.createDecipheriv(json.crypto.cipher, derivedKey.slice(0, 16), new Buffer(json.crypto.cipherparams.iv, 'hex'));
-    const seed = '0x'+ Buffer.concat([ decipher.update(ciphertext), decipher.final() ]).toString('hex');
-    return this.privateKeyToAccount(seed);
+    return json;
 };
 
-Accounts.prototype.encrypt = function (privateKey, password, options, fast = true) {
-    /* jshint maxcomplexity: 20 */
-    const account = this.privateKeyToAccount(privateKey);
+/**
+ * Named scrypt strengths for encrypt, fast is the default, kernel matches
+ * the keystores written by the Aion kernel
+ */
+const KDF_PROFILES = Object.freeze({
+    fast: Object.freeze({n: 8192, r: 8, p: 1}),
+    kernel: Object.freeze({n: 262144, r: 8, p: 1}),
+    paranoid: Object.freeze({n: 1048576, r: 8, p: 1})
+});
 
-    options = options || {};
+/**
+ * Resolves the salt, iv and kdf parameters used to encrypt a keystore
+ *
+ * @param {object} options encrypt options
+ * @param {boolean} fast use the fast profile unless options.kdfProfile is given
+ * @return {object} {salt, iv, kdf, kdfparams}
+ */
+const encryptParams = (options, fast) => {
     const salt = options.salt || cryp.randomBytes(32);
     const iv = options.iv || cryp.randomBytes(16);
 
@@ -341,30 +951,380 @@ Accounts.prototype.encrypt = function (privateKey, password, options, fast = tru
         throw new Error("pbkdf2 format unsupported, use scrypt");
     }
 
-    let derivedKey;
     const kdf = options.kdf || 'scrypt';
+    if (kdf !== 'scrypt') {
+        throw new Error('Unsupported kdf');
+    }
+
     const kdfparams = {
         dklen: options.dklen || 32,
         salt: salt.toString('hex')
     };
 
-    if (kdf === 'pbkdf2') {
-        kdfparams.c = options.c || 262144;
-        kdfparams.prf = 'hmac-sha256';
-        derivedKey = cryp.pbkdf2Sync(new Buffer(password), salt, kdfparams.c, kdfparams.dklen, 'sha256');
-    } else if (kdf === 'scrypt') {
-        // FIXME: support progress reporting callback
-        // support fast identifier, enabled by default, but gives the user the option
-        // to switch to iterations identical to kernel side (but this will be CPU intensive)
-        kdfparams.n = options.n || fast ? 8192 : 262144; // 2048 4096 8192 16384
-        kdfparams.r = options.r || 8;
-        kdfparams.p = options.p || 1;
-        derivedKey = scryptsy(Buffer.from(password, 'utf-8'), salt, kdfparams.n, kdfparams.r, kdfparams.p, kdfparams.dklen);
-    } else {
-        throw new Error('Unsupported kdf');
+    // support fast identifier, enabled by default, but gives the user the option
+    // to switch to iterations identical to kernel side (but this will be CPU intensive)
+    const profileName = options.kdfProfile || (fast ? 'fast' : 'kernel');
+    const profile = KDF_PROFILES[profileName];
+    if (!profile) {
+        throw new Error('Unknown kdf profile "' + profileName + '", expected one of ' + _.keys(KDF_PROFILES).join(', '));
+    }
+
+    // explicit parameters take precedence over the profile
+    kdfparams.n = options.n || profile.n;
+    kdfparams.r = options.r || profile.r;
+    kdfparams.p = options.p || profile.p;
+
+    return {
+        salt: salt,
+        iv: iv,
+        kdf: kdf,
+        kdfparams: kdfparams
+    };
+};
+
+const deriveKey = (password, kdfparams) =>
+    scryptsy(Buffer.from(password, 'utf-8'), Buffer.from(kdfparams.salt, 'hex'), kdfparams.n, kdfparams.r, kdfparams.p, kdfparams.dklen);
+
+/**
+ * Same as deriveKey, but yields to the event loop between rounds
+ *
+ * @param {string} password
+ * @param {object} kdfparams scrypt parameters
+ * @param {object} options {onProgress, signal}, signal is an AbortSignal
+ * or any object with an aborted flag
+ * @return {Promise<buffer>} derived key
+ */
+const deriveKeyAsync = (password, kdfparams, options) => {
+    const onProgress = options.onProgress;
+    const signal = options.signal;
+
+    const checkAborted = () => {
+        if (signal && signal.aborted) {
+            throw new AbortError('Key derivation aborted');
+        }
+    };
+
+    return Promise.resolve().then(() => {
+        checkAborted();
+        return scryptsy.async(
+            Buffer.from(password, 'utf-8'),
+            Buffer.from(kdfparams.salt, 'hex'),
+            kdfparams.n,
+            kdfparams.r,
+            kdfparams.p,
+            kdfparams.dklen,
+            (progress) => {
+                // throwing here rejects the pending derivation
+                checkAborted();
+                if (onProgress) {
+                    onProgress(progress);
+                }
+            }
+        );
+    }).then((derivedKey) => {
+        checkAborted();
+        if (onProgress) {
+            const total = 2 * kdfparams.n * kdfparams.p;
+            onProgress({current: total, total: total, percent: 100});
+        }
+        return derivedKey;
+    });
+};
+
+const keystoreMac = (derivedKey, ciphertext) =>
+    blake2b256(Buffer.concat([ derivedKey.slice(16, 32), ciphertext ])).toString('hex');
+
+/**
+ * @return {buffer} private key stored in the keystore
+ * @throws {Error} if the mac does not match
+ */
+const keystoreSecret = (json, derivedKey) => {
+    const ciphertext = Buffer.from(json.crypto.ciphertext, 'hex');
+
+    // keystores written by other tools may use upper case hex
+    let mac = keystoreMac(derivedKey, ciphertext);
+    if (mac !== String(json.crypto.mac).toLowerCase()) {
+        throw new Error('Key derivation failed - possibly wrong password');
     }
 
-    const cipher = cryp.createCipheriv(options.cipher || 'aes-128-ctr', derivedKey.slice(0, 16), iv);
+    const decipher = cryp.createDecipheriv(json.crypto.cipher, derivedKey.slice(0, 16), Buffer.from(json.crypto.cipherparams.iv, 'hex'));
+    const head = decipher.update(ciphertext);
+    const tail = decipher.final();
+    const secret = Buffer.concat([ head, tail ]);
+    head.fill(0);
+    tail.fill(0);
+    return secret;
+};
+
+Accounts.prototype._keystoreToAccount = function (json, derivedKey) {
+    const secret = keystoreSecret(json, derivedKey);
+    const seed = '0x'+ secret.toString('hex');
+    secret.fill(0);
+    return this.privateKeyToAccount(seed);
+};
+
+// Taken from https://github.com/ethereumjs/ethereumjs-wallet
+Accounts.prototype.decrypt = function (v3Keystore, password, nonStrict) {
+    const json = readKeystore(v3Keystore, password, nonStrict);
+    return this._keystoreToAccount(json, deriveKey(password, json.crypto.kdfparams));
+};
+
+/**
+ * Non-blocking decrypt
+ *
+ * @method decryptAsync
+ * @param {object|string} v3Keystore
+ * @param {string} password
+ * @param {object} options {onProgress, signal, nonStrict}
+ * @return {Promise<object>} account, rejects with AbortError when aborted
+ */
+Accounts.prototype.decryptAsync = function (v3Keystore, password, options) {
+    const _this = this;
+    options = options || {};
+
+    return Promise.resolve().then(() => {
+        const json = readKeystore(v3Keystore, password, options.nonStrict);
+        return deriveKeyAsync(password, json.crypto.kdfparams, options).then((derivedKey) => {
+            return _this._keystoreToAccount(json, derivedKey);
+        });
+    });
+};
+
+/**
+ * Signer of an account whose key is not in memory, every request rejects
+ */
+const lockedSigner = (address) => {
+    const locked = () => Promise.reject(new LockedAccountError(address));
+    return {getPublicKey: locked, signHash: locked};
+};
+
+/**
+ * Creates an account that holds only its encrypted keystore, like an
+ * account of the kernel's personal API. unlock decrypts the key until lock
+ * is called or durationMs has passed, signing while locked rejects with
+ * LockedAccountError. lock zeroes the key buffers.
+ *
+ * The account has no privateKey, strings can not be zeroed.
+ *
+ * @method lockedAccount
+ * @param {object|string} v3Keystore
+ * @return {object} account with unlock(password, {durationMs, onProgress,
+ * signal}) resolving to the account, lock() and isLocked()
+ */
+Accounts.prototype.lockedAccount = function lockedAccount(v3Keystore) {
+    const json = _.isObject(v3Keystore) ? v3Keystore : JSON.parse(v3Keystore);
+    const keystoreAddress = _.isString(json.address) ? prependZeroX(removeLeadingZeroX(json.address)) : json.address;
+
+    if (!isAccountAddress(keystoreAddress)) {
+        throw new Error('Keystore has no valid address');
+    }
+
+    const address = this._formatAddress(keystoreAddress.toLowerCase());
+    const locked = lockedSigner(address);
+    let unlocked = null;
+    let timer = null;
+
+    const account = this._addAccountFunctions({
+        address: address,
+        publicKey: null,
+        _signer: {
+            getPublicKey: () => (unlocked || locked).getPublicKey(),
+            signHash: (hash) => (unlocked || locked).signHash(hash)
+        }
+    });
+
+    account.isLocked = function isLocked() {
+        return unlocked === null;
+    };
+
+    account.lock = function lock() {
+        clearTimeout(timer);
+        timer = null;
+        if (unlocked !== null) {
+            unlocked.wipe();
+            unlocked = null;
+        }
+        return account;
+    };
+
+    account.unlock = function unlock(password, options) {
+        options = options || {};
+
+        return Promise.resolve().then(() => {
+            const parsed = readKeystore(json, password);
+            return deriveKeyAsync(password, parsed.crypto.kdfparams, options);
+        }).then((derivedKey) => {
+            let signer;
+            let secret = null;
+            try {
+                secret = keystoreSecret(json, derivedKey);
+                signer = new LocalSigner(secret);
+            } finally {
+                derivedKey.fill(0);
+                if (secret !== null) {
+                    secret.fill(0);
+                }
+            }
+
+            if (createA0Address(signer._publicKey) !== keystoreAddress.toLowerCase()) {
+                signer.wipe();
+                throw new Error('Keystore address does not match its key');
+            }
+
+            account.lock();
+            unlocked = signer;
+            account.publicKey = bufferToZeroXHex(signer._publicKey);
+
+            if (options.durationMs) {
+                timer = setTimeout(account.lock, options.durationMs);
+                // an unlocked account must not keep the process alive
+                if (timer.unref) {
+                    timer.unref();
+                }
+            }
+            return account;
+        });
+    };
+
+    return account;
+};
+
+/**
+ * kdf parameters for a new vault, the secretbox key is always 32 bytes
+ */
+const vaultParams = (options) => {
+    return _.extend(encryptParams(options || {}, true).kdfparams, {dklen: nacl.secretbox.keyLength});
+};
+
+const vaultKey = (password, kdfparams) => {
+    if (!_.isString(password)) {
+        throw new Error('No password given.');
+    }
+    return deriveKey(password, kdfparams);
+};
+
+const findVaultEntry = (vault, address) => {
+    const key = _.isString(address) ? prependZeroX(removeLeadingZeroX(address).toLowerCase()) : address;
+    const entry = _.find(vault.entries, (entry) => entry.address === key);
+    if (!entry) {
+        throw new UnknownAccountError(address, 'No account for "' + address + '" in the vault');
+    }
+    return entry;
+};
+
+/**
+ * Decrypts one account of a vault and encrypts it to a standard keystore,
+ * its label and meta go to the keystore's meta key like Wallet.encrypt
+ *
+ * @method exportVaultEntry
+ * @param {object|string} vault
+ * @param {string} address
+ * @param {string} password of the vault, also used for the keystore
+ * @param {object} options encrypt options, plus keystorePassword to
+ * encrypt the keystore with another password
+ * @return {object} ksv3 (struct)
+ * @throws {UnknownAccountError} if the vault has no such account
+ */
+Accounts.prototype.exportVaultEntry = function exportVaultEntry(vault, address, password, options) {
+    options = options || {};
+    vault = vaults.readVault(vault);
+
+    const entry = findVaultEntry(vault, address);
+    const key = vaultKey(password, vault.kdfparams);
+    let opened;
+    try {
+        vaults.checkKey(key, vault);
+        opened = vaults.openEntry(key, entry);
+    } finally {
+        key.fill(0);
+    }
+
+    const keystore = this.encrypt(opened.privateKey, options.keystorePassword || password, _.omit(options, 'keystorePassword'));
+    return withKeystoreMeta(keystore, opened);
+};
+
+/**
+ * Adds the account of a keystore to a vault, replacing the entry of the
+ * same address
+ *
+ * @method importVaultEntry
+ * @param {object|string} vault
+ * @param {object|string} keystore ksv3
+ * @param {string} password of the vault, also used for the keystore
+ * @param {object} options {keystorePassword, label, meta}, label and meta
+ * default to those in the keystore's meta key
+ * @return {object} the new vault, the given one is not modified
+ */
+Accounts.prototype.importVaultEntry = function importVaultEntry(vault, keystore, password, options) {
+    options = options || {};
+    vault = vaults.readVault(vault);
+
+    const account = fromKeystoreMeta(this.decrypt(keystore, options.keystorePassword || password), keystore);
+    const key = vaultKey(password, vault.kdfparams);
+    try {
+        vaults.checkKey(key, vault);
+        const entry = vaults.sealEntry(key, {
+            privateKey: account.privateKey,
+            label: isNot(options.label) ? account.label : options.label,
+            meta: isNot(options.meta) ? account.meta : options.meta
+        });
+        return _.extend({}, vault, {
+            entries: vault.entries.filter((other) => other.address !== entry.address).concat([entry])
+        });
+    } finally {
+        key.fill(0);
+    }
+};
+
+/**
+ * Checks a keystore and reports every problem found instead of throwing
+ * on the first one. Without a password only the structure is checked.
+ *
+ * @method validateKeystore
+ * @param {object|string|buffer} keystore ksv3 object, JSON string or RLP buffer
+ * @param {object} options {password}
+ * @return {array} problems as {code, path, message}, empty when valid
+ */
+Accounts.prototype.validateKeystore = function (keystore, options) {
+    options = options || {};
+
+    let json = keystore;
+    try {
+        if (Buffer.isBuffer(keystore)) {
+            json = fromRlp(keystore);
+        } else if (_.isString(keystore)) {
+            json = JSON.parse(keystore);
+        }
+    } catch (e) {
+        return [{code: 'INVALID_ENCODING', path: '', message: 'Could not parse keystore: ' + e.message}];
+    }
+
+    const problems = validateKeystoreFields(json);
+    if (problems.length > 0 || !_.isString(options.password)) {
+        return problems;
+    }
+
+    let account;
+    try {
+        const derivedKey = deriveKey(options.password, json.crypto.kdfparams);
+        if (keystoreMac(derivedKey, Buffer.from(json.crypto.ciphertext, 'hex')) !== json.crypto.mac.toLowerCase()) {
+            problems.push({code: 'MAC_MISMATCH', path: 'crypto.mac', message: 'MAC does not match, wrong password or tampered ciphertext'});
+            return problems;
+        }
+        account = this._keystoreToAccount(json, derivedKey);
+    } catch (e) {
+        problems.push({code: 'DECRYPT_FAILED', path: 'crypto', message: 'Could not decrypt keystore: ' + e.message});
+        return problems;
+    }
+
+    if (removeLeadingZeroX(account.address).toLowerCase() !== removeLeadingZeroX(json.address).toLowerCase()) {
+        problems.push({code: 'ADDRESS_MISMATCH', path: 'address', message: 'Declared address does not match the decrypted key (' + account.address + ')'});
+    }
+    return problems;
+};
+
+const buildKeystore = (account, derivedKey, params, options) => {
+    const cipher = cryp.createCipheriv(options.cipher || 'aes-128-ctr', derivedKey.slice(0, 16), params.iv);
     if (!cipher) {
         throw new Error('Unsupported cipher');
     }
@@ -374,7 +1334,7 @@ Accounts.prototype.encrypt = function (privateKey, password, options, fast = tru
     const mac = blake2b256(
             Buffer.concat(
                 [derivedKey.slice(16, 32),
-                new Buffer(ciphertext, 'hex')]
+                Buffer.from(ciphertext, 'hex')]
             )
         ).toString('hex');
 
@@ -398,25 +1358,100 @@ Accounts.prototype.encrypt = function (privateKey, password, options, fast = tru
         crypto: {
             ciphertext: ciphertext.toString('hex'),
             cipherparams: {
-                iv: iv.toString('hex')
+                iv: params.iv.toString('hex')
             },
             cipher: options.cipher || 'aes-128-ctr',
-            kdf: kdf,
-            kdfparams: kdfparams,
+            kdf: params.kdf,
+            kdfparams: params.kdfparams,
             mac: mac.toString('hex')
         }
     };
 };
 
+Accounts.prototype.encrypt = function (privateKey, password, options, fast = true) {
+    const account = this.privateKeyToAccount(privateKey);
+
+    options = options || {};
+    const params = encryptParams(options, fast);
+    return buildKeystore(account, deriveKey(password, params.kdfparams), params, options);
+};
+
+/**
+ * Non-blocking encrypt, output is identical to encrypt for the same options
+ *
+ * @method encryptAsync
+ * @param {string|buffer} privateKey
+ * @param {string} password
+ * @param {object} options encrypt options plus {onProgress, signal}
+ * @param {boolean} fast use 8192 scrypt iterations instead of 262144
+ * @return {Promise<object>} ksv3 (struct), rejects with AbortError when aborted
+ */
+Accounts.prototype.encryptAsync = function (privateKey, password, options, fast = true) {
+    const _this = this;
+    options = options || {};
+
+    return Promise.resolve().then(() => {
+        const account = _this.privateKeyToAccount(privateKey);
+        const params = encryptParams(options, fast);
+        return deriveKeyAsync(password, params.kdfparams, options).then((derivedKey) => {
+            return buildKeystore(account, derivedKey, params, options);
+        });
+    });
+};
+
+/**
+ * Changes the password and/or scrypt strength of a keystore, keeping its
+ * uuid and address. The result is decrypted once more before it is returned.
+ *
+ * @method reencrypt
+ * @param {object|string} v3Keystore
+ * @param {string} oldPassword
+ * @param {string} newPassword
+ * @param {object} options encrypt options, e.g. {kdfProfile: 'kernel'}.
+ * Without kdfProfile, n, r or p the scrypt parameters of the keystore are kept
+ * @return {object} ksv3 (struct)
+ */
+Accounts.prototype.reencrypt = function (v3Keystore, oldPassword, newPassword, options) {
+    const json = _.isObject(v3Keystore) ? v3Keystore : JSON.parse(v3Keystore);
+    const account = this.decrypt(json, oldPassword);
+
+    if (removeLeadingZeroX(account.address).toLowerCase() !== removeLeadingZeroX(json.address).toLowerCase()) {
+        throw new Error('Keystore address ' + json.address + ' does not match its key ' + account.address);
+    }
+
+    // a password change must not silently weaken the kdf
+    const strength = _.isObject(options) && (options.kdfProfile || options.n || options.r || options.p)
+        ? {}
+        : _.pick(json.crypto.kdfparams, 'n', 'r', 'p');
+    const reencrypted = this.encrypt(account._privateKey, newPassword, _.extend(strength, options, {uuid: json.id}));
+
+    if (this.decrypt(reencrypted, newPassword).privateKey !== account.privateKey) {
+        throw new Error('Could not verify re-encrypted keystore');
+    }
+    return reencrypted;
+};
+
+Accounts.prototype.reencryptRlp = function (buffer, oldPassword, newPassword, options) {
+    return toRlp(this.reencrypt(fromRlp(buffer), oldPassword, newPassword, options));
+};
+
 Accounts.prototype.encryptToRlp = function(privateKey, password, options) {
     return toRlp(this.encrypt(privateKey, password, options));
 }
 
+Accounts.prototype.encryptToRlpAsync = function(privateKey, password, options) {
+    return this.encryptAsync(privateKey, password, options).then(toRlp);
+};
 
 Accounts.prototype.decryptFromRlp = function(buffer, password) {
     return this.decrypt(fromRlp(buffer), password);
 }
 
+Accounts.prototype.decryptFromRlpAsync = function(buffer, password, options) {
+    const _this = this;
+    return Promise.resolve().then(() => _this.decryptAsync(fromRlp(buffer), password, options));
+};
+
 /**
  * Serializes ksv3 object into buffer
  * https://github.com/aionnetwork/aion/blob/tx_encoding_tests/modMcf/src/org/aion/mcf/account/KeystoreItem.java
@@ -502,13 +1537,16 @@ const fromRlp = (keystore) => {
 
 function Wallet(accounts) {
     this._accounts = accounts;
+    // accounts ordered by index, the index and address keys point into it
+    this._entries = [];
     this.length = 0;
     this.defaultKeyName = "web3js_wallet";
+    this.storage = typeof localStorage === 'undefined' ? null : localStorage;
 }
 
 Wallet.prototype._findSafeIndex = function (pointer) {
     pointer = pointer || 0;
-    if (_.has(this, pointer)) {
+    if (_.findWhere(this._entries, {index: pointer})) {
         return this._findSafeIndex(pointer + 1);
     } else {
         return pointer;
@@ -516,56 +1554,272 @@ Wallet.prototype._findSafeIndex = function (pointer) {
 };
 
 Wallet.prototype._currentIndexes = function () {
-    const keys = Object.keys(this);
-    const indexes = keys
-        .map(function(key) { return parseInt(key); })
-        .filter(function(n) { return (n < 9e20); });
+    return _.pluck(this._entries, 'index');
+};
 
-    return indexes;
+const withCreationMeta = (account, meta) => {
+    return _.extend(account, {meta: _.extend({createdAt: new Date().toISOString()}, meta)});
 };
 
-Wallet.prototype.create = function (numberOfAccounts, entropy) {
+/**
+ * Adds numberOfAccounts accounts, when entropy is a mnemonic they are derived
+ * sequentially from index 0 under m/44'/425'/0'/0'/i'. The meta of every
+ * account records createdAt, and the path for derived accounts.
+ */
+Wallet.prototype.create = function (numberOfAccounts, entropy, passphrase) {
+    if (_.isString(entropy)) {
+        const seed = hd.mnemonicToSeed(entropy, passphrase);
+        for (let i = 0; i < numberOfAccounts; ++i) {
+            this.add(withCreationMeta(this._accounts._seedToAccount(seed, i), {path: hd.aionPath(i)}));
+        }
+        return this;
+    }
+
     for (let i = 0; i < numberOfAccounts; ++i) {
-        this.add(this._accounts.create(entropy).privateKey);
+        this.add(withCreationMeta(this._accounts.create(entropy)));
     }
     return this;
 };
 
+/**
+ * @throws {Error} if label is not a string, looks like an address or
+ * belongs to another account
+ */
+Wallet.prototype._checkLabel = function (label, account) {
+    if (isNot(label)) {
+        return;
+    }
+    if (!_.isString(label) || label === '' || isAccountAddress(label)) {
+        throw new Error('Label must be a non-empty string that is not an address, got "' + label + '"');
+    }
+
+    const owner = this.get(label);
+    if (owner && owner !== account) {
+        throw new Error('Label "' + label + '" is already used by ' + owner.address);
+    }
+};
+
+/**
+ * Checks the labels of accounts about to be added, so a collision is
+ * reported before any of them is in the wallet. Accounts already in the
+ * wallet keep their label and are skipped.
+ *
+ * @throws {Error} see _checkLabel
+ */
+Wallet.prototype._checkNewLabels = function (accounts) {
+    const _this = this;
+    const addresses = {};
+    const labels = {};
+
+    accounts.forEach((account) => {
+        const address = account.address.toLowerCase();
+        if (_this[address] || addresses[address]) {
+            return;
+        }
+        addresses[address] = true;
+
+        _this._checkLabel(account.label, null);
+        if (!isNot(account.label)) {
+            if (labels[account.label]) {
+                throw new Error('Label "' + account.label + '" is already used by ' + labels[account.label]);
+            }
+            labels[account.label] = account.address;
+        }
+    });
+};
+
+Wallet.prototype._insert = function (account, source) {
+    source = source || account;
+    this._checkLabel(source.label, null);
+
+    account.index = this._findSafeIndex();
+    if (!isNot(source.label)) {
+        account.label = source.label;
+    }
+    if (!isNot(source.meta)) {
+        account.meta = _.clone(source.meta);
+    }
+
+    this[account.index] = account;
+    this[account.address] = account;
+    this[account.address.toLowerCase()] = account;
+
+    this._entries = _.sortBy(this._entries.concat([account]), 'index');
+    this.length++;
+
+    return account;
+};
+
+/**
+ * Adds an account by private key or account object, the label and meta of
+ * the object are kept. An address already in the wallet is not added again.
+ *
+ * @return {object} the account in the wallet
+ */
 Wallet.prototype.add = function (account) {
 
     if (_.isString(account)) {
         account = this._accounts.privateKeyToAccount(account);
     }
+    // signer and locked accounts have no private key to copy
+    if (account._signer) {
+        return this[account.address] || this._insert(account);
+    }
     if (!this[account.address]) {
-        account = this._accounts.privateKeyToAccount(account.privateKey);
-        account.index = this._findSafeIndex();
+        return this._insert(this._accounts.privateKeyToAccount(account.privateKey), account);
+    } else {
+        return this[account.address];
+    }
+};
+
+/**
+ * @return {array} accounts ordered by index
+ */
+Wallet.prototype.list = function () {
+    return this._entries.slice();
+};
+
+/**
+ * @param {string|number} addressOrLabel address in any case, label or index
+ * @return {object|undefined} account
+ */
+Wallet.prototype.get = function (addressOrLabel) {
+    if (_.isNumber(addressOrLabel)) {
+        return _.findWhere(this._entries, {index: addressOrLabel});
+    }
+    if (_.isString(addressOrLabel) && isAccountAddress(addressOrLabel)) {
+        const address = prependZeroX(removeLeadingZeroX(addressOrLabel).toLowerCase());
+        return _.find(this._entries, (account) => account.address.toLowerCase() === address);
+    }
+    return _.findWhere(this._entries, {label: addressOrLabel});
+};
 
-        this[account.index] = account;
-        this[account.address] = account;
-        this[account.address.toLowerCase()] = account;
+Wallet.prototype._entry = function (addressOrLabel) {
+    const account = this.get(addressOrLabel);
+    if (!account) {
+        throw new UnknownAccountError(addressOrLabel);
+    }
+    return account;
+};
 
-        this.length++;
+/**
+ * @param {string|number} addressOrLabel
+ * @param {string|null} label unique within the wallet, null removes it
+ * @return {object} account
+ * @throws {UnknownAccountError} if the wallet has no such account
+ */
+Wallet.prototype.setLabel = function (addressOrLabel, label) {
+    const account = this._entry(addressOrLabel);
+    this._checkLabel(label, account);
 
-        return account;
+    if (isNot(label)) {
+        delete account.label;
     } else {
-        return this[account.address];
+        account.label = label;
+    }
+    return account;
+};
+
+/**
+ * Merges meta into the metadata of an account, keys set to null are removed
+ *
+ * @param {string|number} addressOrLabel
+ * @param {object} meta JSON serializable, label is set with setLabel
+ * @return {object} account
+ * @throws {UnknownAccountError} if the wallet has no such account
+ */
+Wallet.prototype.setMeta = function (addressOrLabel, meta) {
+    const account = this._entry(addressOrLabel);
+    if (!_.isObject(meta) || _.has(meta, 'label')) {
+        throw new Error('Meta must be an object without a label, use setLabel for labels');
+    }
+
+    const merged = _.extend({}, account.meta, meta);
+    account.meta = _.omit(merged, (val) => val === null);
+    return account;
+};
+
+/**
+ * Iterates over the accounts ordered by index
+ */
+Wallet.prototype[Symbol.iterator] = function () {
+    return this.list()[Symbol.iterator]();
+};
+
+/**
+ * @return {array} {index, address, label, meta} of every account, never keys
+ */
+Wallet.prototype.toJSON = function () {
+    return this._entries.map((account) => _.pick(account, 'index', 'address', 'label', 'meta'));
+};
+
+/**
+ * Adds an account that signs through signer, see Accounts.signerToAccount.
+ * Signer accounts are left out of encrypt, encryptAsync and save.
+ *
+ * @param {object} signer
+ * @return {Promise<object>} account
+ */
+Wallet.prototype.addSigner = function (signer) {
+    const _this = this;
+    return this._accounts.signerToAccount(signer).then((account) => {
+        return _this[account.address] || _this._insert(account);
+    });
+};
+
+/**
+ * @return {array} indexes of the accounts that hold their private key
+ */
+Wallet.prototype._keyIndexes = function () {
+    const _this = this;
+    return this._currentIndexes().filter((index) => !_this[index]._signer);
+};
+
+/**
+ * Zeroes the key of a removed account, signing and encrypting throw
+ * LockedAccountError afterwards. Locked accounts are only locked, signer
+ * accounts keep their signer.
+ */
+const wipeAccount = (account) => {
+    if (_.isFunction(account.lock)) {
+        account.lock();
+        return;
+    }
+    if (account._signer) {
+        return;
+    }
+
+    if (Buffer.isBuffer(account._privateKey)) {
+        account._privateKey.fill(0);
     }
+    account._privateKey = null;
+    account.privateKey = null;
+    account._signer = lockedSigner(account.address);
+
+    const locked = () => {
+        throw new LockedAccountError(account.address);
+    };
+    const lockedAsync = () => Promise.reject(new LockedAccountError(account.address));
+    account.sign = locked;
+    account.encrypt = locked;
+    account.encryptToRlp = locked;
+    account.encryptAsync = lockedAsync;
+    account.encryptToRlpAsync = lockedAsync;
 };
 
 Wallet.prototype.remove = function (addressOrIndex) {
     const account = this[addressOrIndex];
 
     if (account && account.address) {
+        wipeAccount(account);
         // address
-        this[account.address].privateKey = null;
         delete this[account.address];
         // address lowercase
-        this[account.address.toLowerCase()].privateKey = null;
         delete this[account.address.toLowerCase()];
         // index
-        this[account.index].privateKey = null;
         delete this[account.index];
 
+        this._entries = _.without(this._entries, account);
         this.length--;
 
         return true;
@@ -585,12 +1839,44 @@ Wallet.prototype.clear = function () {
     return this;
 };
 
+/**
+ * Label and meta of an account are kept in a top-level meta key of its
+ * keystore, next to the ksv3 fields and never inside them. The meta key is
+ * plain text and not covered by the MAC: anyone holding the file can read
+ * labels and derivation paths, or change them without the password. The
+ * vault seals them with the key.
+ */
+const withKeystoreMeta = (keystore, account) => {
+    if (isNot(account.label) && isNot(account.meta)) {
+        return keystore;
+    }
+    return _.extend(keystore, {
+        meta: _.extend({}, account.meta, isNot(account.label) ? {} : {label: account.label})
+    });
+};
+
+const fromKeystoreMeta = (account, keystore) => {
+    const json = _.isString(keystore) ? JSON.parse(keystore) : keystore;
+    if (!_.isObject(json.meta)) {
+        return account;
+    }
+
+    if (!isNot(json.meta.label)) {
+        account.label = json.meta.label;
+    }
+    const meta = _.omit(json.meta, 'label');
+    if (!_.isEmpty(meta)) {
+        account.meta = meta;
+    }
+    return account;
+};
+
 Wallet.prototype.encrypt = function (password, options) {
     const _this = this;
-    const indexes = this._currentIndexes();
+    const indexes = this._keyIndexes();
 
     const accounts = indexes.map(function(index) {
-        return _this[index].encrypt(password, options);
+        return withKeystoreMeta(_this[index].encrypt(password, options), _this[index]);
     });
 
     return accounts;
@@ -600,42 +1886,390 @@ Wallet.prototype.encrypt = function (password, options) {
 Wallet.prototype.decrypt = function (encryptedWallet, password) {
     const _this = this;
 
-    encryptedWallet.forEach(function (keystore) {
+    const accounts = encryptedWallet.map(function (keystore) {
         const account = _this._accounts.decrypt(keystore, password);
 
         if (account) {
-            _this.add(account);
+            return fromKeystoreMeta(account, keystore);
         } else {
             throw new Error('Couldn\'t decrypt accounts. Password wrong?');
         }
     });
 
+    this._checkNewLabels(accounts);
+    accounts.forEach((account) => _this.add(account));
     return this;
 };
 
-Wallet.prototype.save = function (password, keyName) {
-    localStorage.setItem(keyName || this.defaultKeyName, JSON.stringify(this.encrypt(password)));
+/**
+ * Re-encrypts every keystore of an encrypted wallet, see Accounts.reencrypt
+ *
+ * @return {array} ksv3 (struct) in the same order
+ */
+Wallet.prototype.reencrypt = function (encryptedWallet, oldPassword, newPassword, options) {
+    const _this = this;
+    return encryptedWallet.map((keystore) => {
+        const json = _.isString(keystore) ? JSON.parse(keystore) : keystore;
+        const reencrypted = _this._accounts.reencrypt(json, oldPassword, newPassword, options);
+        return _.isObject(json.meta) ? _.extend(reencrypted, {meta: json.meta}) : reencrypted;
+    });
+};
 
-    return true;
+Wallet.prototype._sealVault = function (key, kdfparams) {
+    const _this = this;
+    try {
+        return vaults.createVault(key, kdfparams, this._keyIndexes().map((index) => _this[index]));
+    } finally {
+        key.fill(0);
+    }
 };
 
-Wallet.prototype.load = function (password, keyName) {
-    let keystore = localStorage.getItem(keyName || this.defaultKeyName);
+Wallet.prototype._openVault = function (key, vault) {
+    const _this = this;
+    let entries;
+    try {
+        entries = vaults.openVault(key, vault);
+    } finally {
+        key.fill(0);
+    }
 
-    if (keystore) {
-        try {
-            keystore = JSON.parse(keystore);
-        } catch(e) {
+    this._checkNewLabels(entries);
+    entries.forEach((entry) => _this.add(entry));
+    return this;
+};
 
+/**
+ * Encrypts all accounts into one vault, see accounts-vault.js. scrypt runs
+ * once instead of once per account. Signer and locked accounts are left out,
+ * account.label and account.meta are kept.
+ *
+ * @param {string} password
+ * @param {object} options kdfProfile, n, r, p and salt as Accounts.encrypt
+ * @return {object} vault
+ */
+Wallet.prototype.encryptVault = function (password, options) {
+    const kdfparams = vaultParams(options);
+    return this._sealVault(vaultKey(password, kdfparams), kdfparams);
+};
+
+/**
+ * Adds the accounts of a vault
+ *
+ * @param {object|string} vault
+ * @param {string} password
+ * @return {object} this
+ * @throws {VaultError} if the password is wrong or the vault was modified
+ */
+Wallet.prototype.decryptVault = function (vault, password) {
+    vault = vaults.readVault(vault);
+    return this._openVault(vaultKey(password, vault.kdfparams), vault);
+};
+
+/**
+ * Runs iteratee over items one at a time, so concurrent key derivations
+ * do not compete for the event loop
+ */
+const sequence = (items, iteratee) => items.reduce((previous, item, index) => {
+    return previous.then((results) => {
+        return iteratee(item, index).then((result) => results.concat([result]));
+    });
+}, Promise.resolve([]));
+
+/**
+ * Adds the position of the account being processed to progress reports
+ */
+const walletProgress = (options, index, count) => {
+    if (!options.onProgress) {
+        return options;
+    }
+
+    return _.extend({}, options, {
+        onProgress: (progress) => options.onProgress(_.extend({index: index, count: count}, progress))
+    });
+};
+
+Wallet.prototype.encryptAsync = function (password, options) {
+    const _this = this;
+    const indexes = this._keyIndexes();
+    options = options || {};
+
+    return sequence(indexes, (index, i) => {
+        return _this[index].encryptAsync(password, walletProgress(options, i, indexes.length)).then((keystore) => {
+            return withKeystoreMeta(keystore, _this[index]);
+        });
+    });
+};
+
+/**
+ * Non-blocking encryptVault, options also take onProgress and signal
+ *
+ * @return {Promise<object>} vault
+ */
+Wallet.prototype.encryptVaultAsync = function (password, options) {
+    const _this = this;
+    options = options || {};
+
+    return Promise.resolve().then(() => {
+        if (!_.isString(password)) {
+            throw new Error('No password given.');
+        }
+        const kdfparams = vaultParams(options);
+        return deriveKeyAsync(password, kdfparams, options).then((key) => _this._sealVault(key, kdfparams));
+    });
+};
+
+/**
+ * Non-blocking decryptVault
+ *
+ * @param {object} options {onProgress, signal}
+ * @return {Promise<object>} this
+ */
+Wallet.prototype.decryptVaultAsync = function (vault, password, options) {
+    const _this = this;
+    options = options || {};
+
+    return Promise.resolve().then(() => {
+        if (!_.isString(password)) {
+            throw new Error('No password given.');
         }
+        vault = vaults.readVault(vault);
+        return deriveKeyAsync(password, vault.kdfparams, options).then((key) => _this._openVault(key, vault));
+    });
+};
+
+Wallet.prototype.decryptAsync = function (encryptedWallet, password, options) {
+    const _this = this;
+    options = options || {};
+
+    return sequence(encryptedWallet, (keystore, i) => {
+        return _this._accounts.decryptAsync(keystore, password, walletProgress(options, i, encryptedWallet.length));
+    }).then((accounts) => {
+        accounts = accounts.map((account, i) => fromKeystoreMeta(account, encryptedWallet[i]));
+        _this._checkNewLabels(accounts);
+        accounts.forEach((account) => _this.add(account));
+        return _this;
+    });
+};
+
+/**
+ * @param {string|number} addressOrIndex address in any case, or index
+ * @return {object} account
+ * @throws {UnknownAccountError} if the wallet has no such account
+ */
+Wallet.prototype._signer = function (addressOrIndex) {
+    if (isNot(addressOrIndex) || addressOrIndex === '') {
+        throw new TransactionValidationError('from', '"from" is missing, the wallet signs with the account it names');
     }
 
-    return this.decrypt(keystore || [], password);
+    const key = _.isString(addressOrIndex) && isAccountAddress(addressOrIndex)
+        ? prependZeroX(removeLeadingZeroX(addressOrIndex).toLowerCase())
+        : addressOrIndex;
+    const account = this[key];
+
+    if (!account || !account.address) {
+        throw new UnknownAccountError(addressOrIndex);
+    }
+    return account;
 };
 
-if (typeof localStorage === 'undefined') {
-    delete Wallet.prototype.save;
-    delete Wallet.prototype.load;
-}
+/**
+ * Signs with the account named by tx.from
+ *
+ * @param {object} tx
+ * @param {object} options as Accounts.signTransaction, can be left out
+ * @param {function} callback
+ * @return {Promise<object>} same as Accounts.signTransaction
+ */
+Wallet.prototype.signTransaction = function (tx, options, callback) {
+    if (_.isFunction(options)) {
+        callback = options;
+        options = {};
+    }
+    callback = callback || function () {};
+
+    let account;
+    try {
+        account = this._signer(tx ? tx.from : undefined);
+    } catch (e) {
+        callback(e, null);
+        return Promise.reject(e);
+    }
+    return account.signTransaction(tx, options, callback);
+};
+
+/**
+ * @param {string|number} address address or index of the signing account
+ * @param {string|buffer} message
+ * @return {object} same as Accounts.sign
+ * @throws {UnknownAccountError} if the wallet has no such account
+ */
+Wallet.prototype.signMessage = function (address, message) {
+    const account = this._signer(address);
+    if (!account.sign) {
+        throw new Error('Account ' + account.address + ' signs through a signer, use signMessageAsync');
+    }
+    return account.sign(message);
+};
+
+/**
+ * Same as signMessage, also for signer and locked accounts
+ *
+ * @return {Promise<object>} same as Accounts.signAsync
+ */
+Wallet.prototype.signMessageAsync = function (address, message) {
+    const _this = this;
+    return Promise.resolve().then(() => _this._signer(address).signAsync(message));
+};
+
+/**
+ * Signs a batch, each transaction with the account named by its from (or
+ * options.from). Every sender gets its own nonce sequence, see
+ * Accounts.signBatch.
+ *
+ * @param {array} txs
+ * @param {object} options as Accounts.signBatch, plus from: default sender.
+ * nonce is a number for a single sender, or an object keyed by address
+ * @return {Promise<object>} {results: [{index, nonce, result, error}],
+ * nextNonce: {address: nonce}}
+ */
+Wallet.prototype.signBatch = function (txs, options) {
+    const _this = this;
+    options = options || {};
+
+    if (!_.isArray(txs)) {
+        return Promise.reject(new Error('Expected an array of transactions'));
+    }
+
+    const failed = (index, error) => ({index: index, nonce: null, result: null, error: error});
+    const results = [];
+    const groups = {};
+
+    txs.forEach((tx, index) => {
+        const from = _.isObject(tx) && !isNot(tx.from) ? tx.from : options.from;
+        let account;
+        try {
+            account = _this._signer(from);
+        } catch (e) {
+            results[index] = failed(index, e);
+            return;
+        }
+
+        const key = account.address.toLowerCase();
+        groups[key] = groups[key] || {account: account, indexes: [], txs: []};
+        groups[key].indexes.push(index);
+        groups[key].txs.push(tx);
+    });
+
+    const senders = Object.keys(groups);
+    const perSender = _.isObject(options.nonce) && !BN.isBN(options.nonce);
+    if (!isNot(options.nonce) && !perSender && senders.length > 1) {
+        return Promise.reject(new TransactionValidationError('nonce', 'The batch has ' + senders.length + ' senders, pass "nonce" as {address: nonce}'));
+    }
+
+    const nonces = {};
+    if (perSender) {
+        _.each(options.nonce, (nonce, address) => {
+            nonces[removeLeadingZeroX(address).toLowerCase()] = nonce;
+        });
+    }
+
+    const nextNonce = {};
+    return sequence(senders, (key) => {
+        const group = groups[key];
+        const batchOptions = _.extend(_.omit(options, 'from'), {
+            nonce: perSender ? nonces[removeLeadingZeroX(key)] : options.nonce
+        });
+
+        return group.account.signBatch(group.txs, batchOptions).then((batch) => {
+            batch.results.forEach((item, i) => {
+                results[group.indexes[i]] = _.extend(item, {index: group.indexes[i]});
+            });
+            nextNonce[group.account.address] = batch.nextNonce;
+        }, (e) => {
+            group.indexes.forEach((index) => {
+                results[index] = failed(index, e);
+            });
+        });
+    }).then(() => ({results: results, nextNonce: nextNonce}));
+};
+
+/**
+ * Sets where save and load keep the encrypted wallet, defaults to
+ * localStorage when it is available
+ *
+ * @method setStorage
+ * @param {object} storage adapter, see accounts-storage.js
+ * @return {object} this
+ */
+Wallet.prototype.setStorage = function (storage) {
+    if (!isStorage(storage)) {
+        throw new Error('Storage must implement getItem, setItem and removeItem');
+    }
+    this.storage = storage;
+    return this;
+};
+
+Wallet.prototype._getStorage = function () {
+    if (!this.storage) {
+        throw new Error('No storage available, use wallet.setStorage to provide one');
+    }
+    return this.storage;
+};
+
+/**
+ * Calls fn with the value, or with its result when the value is a Promise,
+ * so sync adapters keep a sync save/load and async adapters get a Promise
+ */
+const whenReady = (value, fn) => {
+    if (value && _.isFunction(value.then)) {
+        return Promise.resolve(value).then(fn);
+    }
+    return fn(value);
+};
+
+/**
+ * @param {string} password
+ * @param {string} keyName
+ * @param {object} options {vault: true to store one vault instead of a
+ * keystore per account}, other options are passed to encrypt
+ */
+Wallet.prototype.save = function (password, keyName, options) {
+    options = options || {};
+    const encrypted = options.vault ? this.encryptVault(password, _.omit(options, 'vault')) : this.encrypt(password, options);
+    const stored = this._getStorage().setItem(keyName || this.defaultKeyName, JSON.stringify(encrypted));
+
+    return whenReady(stored, () => true);
+};
+
+Wallet.prototype.load = function (password, keyName) {
+    const _this = this;
+    keyName = keyName || this.defaultKeyName;
+
+    return whenReady(this._getStorage().getItem(keyName), (keystore) => {
+        if (keystore) {
+            try {
+                keystore = JSON.parse(keystore);
+            } catch (e) {
+                throw new Error('Stored wallet "' + keyName + '" is not valid JSON: ' + e.message);
+            }
+        }
+
+        if (vaults.isVault(keystore)) {
+            return _this.decryptVault(keystore, password);
+        }
+        return _this.decrypt(keystore || [], password);
+    });
+};
+
+Accounts.errors = errors;
+Accounts.Transaction = Transaction;
+Accounts.abi = abi;
+Accounts.avm = avm;
+Accounts.HttpProvider = HttpProvider;
+Accounts.LocalSigner = LocalSigner;
+Accounts.isSigner = isSigner;
+Accounts.KDF_PROFILES = KDF_PROFILES;
+Accounts.toRlp = toRlp;
+Accounts.fromRlp = fromRlp;
 
 module.exports = Accounts;
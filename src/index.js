@@ -1,2 +1,5 @@
 const accounts = require('./accounts');
+accounts.KeystoreDir = require('./accounts-keystore-dir');
+accounts.storage = require('./accounts-storage');
+accounts.RemoteSigner = require('./accounts-remote-signer');
 module.exports = accounts;
\ No newline at end of file
@@ -0,0 +1,108 @@
+/// FVM ABI Tests
+const assert = require('chai').assert;
+const Accounts = require('../src/index');
+
+const abi = Accounts.abi;
+const { AbiError } = Accounts.errors;
+
+const word = (hex) => hex.padStart(32, '0');
+
+describe("abi tests", () => {
+  const token = [
+    { type: "constructor", inputs: [{ name: "supply", type: "uint128" }, { name: "name", type: "string" }] },
+    { type: "function", name: "transfer", inputs: [{ name: "to", type: "address" }, { name: "amount", type: "uint128" }], outputs: [{ name: "", type: "bool" }] },
+    { type: "function", name: "balanceOf", inputs: [{ name: "owner", type: "address" }], outputs: [{ name: "", type: "uint128" }] },
+    { type: "function", name: "mint", inputs: [{ name: "amount", type: "uint" }], outputs: [] },
+    { type: "function", name: "mint", inputs: [{ name: "to", type: "address" }, { name: "amount", type: "uint" }], outputs: [] },
+    { type: "event", name: "Transfer", inputs: [] }
+  ];
+  const to = "0xa050486fc4a5c236a9072961a5b7394885443cd53a704b2630d495d2fc6c268b";
+
+  it("should use keccak256 for function selectors", () => {
+    const signature = "transfer(address,uint128)";
+    assert.equal(abi.functionSignature(token[1]), signature);
+    // the ERC20 transfer selector known from ethereum
+    assert.equal(abi.functionSelector("transfer(address,uint256)"), "0xa9059cbb");
+    // as computed by aion-web3-eth-abi 1.2.6 encodeFunctionSignature
+    assert.equal(abi.functionSelector(signature), "0xfbb001d6");
+    // uint is short for uint128 on the FVM
+    assert.equal(abi.functionSignature(token[3]), "mint(uint128)");
+  });
+
+  it("should encode static types in 16 byte words", () => {
+    assert.equal(abi.encodeParameters(["uint128", "bool"], [1, true]), "0x" + word("1") + word("1"));
+    assert.equal(abi.encodeParameters(["int128"], [-1]), "0x" + "ff".repeat(16));
+    assert.equal(abi.encodeParameters(["address"], [to]), to);
+    assert.equal(abi.encodeParameters(["bytes4"], ["0x01020304"]), "0x01020304" + "00".repeat(12));
+    assert.equal(abi.encodeParameters(["bytes20"], ["0x" + "11".repeat(20)]), "0x" + "11".repeat(20) + "00".repeat(12));
+    assert.equal(abi.encodeParameters(["uint8[2]"], [[1, 2]]), "0x" + word("1") + word("2"));
+  });
+
+  it("should encode dynamic types behind offsets", () => {
+    assert.equal(abi.encodeParameters(["uint128", "string"], [1, "hi"]),
+      "0x" + word("1") + word("20") + word("2") + "6869" + "00".repeat(14));
+    assert.equal(abi.encodeParameters(["bytes", "int8[]"], ["0xabcd", [-1, 2]]),
+      "0x" + word("20") + word("40") +
+      word("2") + "abcd" + "00".repeat(14) +
+      word("2") + "ff".repeat(16) + word("2"));
+  });
+
+  it("should round trip nested and dynamic arrays", () => {
+    const types = ["uint128", "string", "int64[]", "address[2]", "string[]", "uint16[2][]"];
+    const values = [5, "héllo", [-3, 4], [to, to.replace("a050", "a051")], ["a", "bc"], [[1, 2], [3, 4]]];
+    const decoded = abi.decodeParameters(types, abi.encodeParameters(types, values));
+
+    assert.equal(decoded[0].toString(), "5");
+    assert.equal(decoded[1], "héllo");
+    assert.deepEqual(decoded[2].map(String), ["-3", "4"]);
+    assert.deepEqual(decoded[3], values[3]);
+    assert.deepEqual(decoded[4], ["a", "bc"]);
+    assert.deepEqual(decoded[5].map((pair) => pair.map(Number)), [[1, 2], [3, 4]]);
+  });
+
+  it("should encode function calls and constructors", () => {
+    const call = abi.encodeFunctionCall(token, "transfer", [to, 1000]);
+    // as computed by aion-web3-eth-abi 1.2.6 encodeFunctionCall
+    assert.equal(call, "0xfbb001d6" + to.slice(2) + word("3e8"));
+
+    // overloads are picked by argument count or full signature
+    assert.equal(abi.encodeFunctionCall(token, "mint", [1]).slice(0, 10), abi.functionSelector("mint(uint128)"));
+    assert.equal(abi.encodeFunctionCall(token, "mint(address,uint128)", [to, 1]).slice(0, 10), abi.functionSelector("mint(address,uint128)"));
+
+    const deploy = abi.encodeConstructor(token, "0x6060", [1, "hi"]);
+    assert.equal(deploy, "0x6060" + abi.encodeParameters(["uint128", "string"], [1, "hi"]).slice(2));
+  });
+
+  it("should decode return data", () => {
+    assert.deepEqual(abi.decodeFunctionResult(token, "transfer", "0x" + word("1")), [true]);
+    assert.equal(abi.decodeFunctionResult(token, "balanceOf", "0x" + word("3e8"))[0].toString(), "1000");
+  });
+
+  it("should reject invalid input with AbiError", () => {
+    assert.throws(() => abi.encodeParameters(["uint256"], [1]), AbiError, /8 to 128 bits/);
+    assert.throws(() => abi.encodeParameters(["uint8"], [256]), AbiError, /out of range/);
+    assert.throws(() => abi.encodeParameters(["uint128"], [-1]), AbiError, /out of range/);
+    assert.throws(() => abi.encodeParameters(["address"], ["0x1234"]), AbiError, /Invalid address/);
+    assert.throws(() => abi.encodeParameters(["bytes2"], ["0x01"]), AbiError, /Expected 2 bytes/);
+    assert.throws(() => abi.encodeParameters(["tuple"], [1]), AbiError, /Unsupported type/);
+    assert.throws(() => abi.encodeFunctionCall(token, "burn", []), AbiError, /not found/);
+    assert.throws(() => abi.decodeParameters(["uint128"], "0x01"), AbiError, /too short/);
+  });
+
+  it("should let signTransaction encode contract calls", async () => {
+    const accs = new Accounts();
+    const acc = accs.create();
+    const fields = { to: to, gas: 100000, gasPrice: 10000000000, nonce: 0, timestamp: 1535399697 };
+
+    const signed = await acc.signTransaction(Object.assign({ abi: token, method: "transfer", args: [to, 1000] }, fields));
+    const plain = await acc.signTransaction(Object.assign({ data: abi.encodeFunctionCall(token, "transfer", [to, 1000]) }, fields));
+    assert.equal(signed.rawTransaction, plain.rawTransaction);
+
+    const deployment = new Accounts.Transaction({ abi: token, data: "0x6060", args: [1, "hi"], gas: 1000000, gasPrice: 10000000000, nonce: 1 });
+    assert.equal(deployment.data, abi.encodeConstructor(token, "0x6060", [1, "hi"]));
+    assert.isTrue(deployment.isContractCreation());
+
+    assert.throws(() => new Accounts.Transaction(Object.assign({ abi: token, method: "transfer", args: [to, 1], data: "0x01" }, fields)), /"data" and "method"/);
+    assert.throws(() => new Accounts.Transaction(Object.assign({ abi: token, args: [] }, fields)), /"method" is missing/);
+  });
+});
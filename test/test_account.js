@@ -2,7 +2,7 @@
 const assert = require('chai').assert;
 const Accounts = require('../src/index');
 const BN = require('bn.js');
-const { removeLeadingZeroX } = require('../src/accounts-format');
+const { removeLeadingZeroX, toBuffer } = require('../src/accounts-format');
 
 describe("basic account tests", () => {
   describe("account private/public key tests", () => {
@@ -46,6 +46,261 @@ describe("basic account tests", () => {
       console.log(res);
       assert.equal(res.rawTransaction, expectedEncodedTransaction);
     });
+
+    it("should keep leading zero bytes of private keys", () => {
+      const accs = new Accounts();
+      const entropy = Buffer.alloc(32, 7);
+      entropy[0] = 0;
+      const acc = accs.create(entropy);
+      assert.match(acc.privateKey, /^0x00/);
+
+      const imported = accs.privateKeyToAccount(acc.privateKey);
+      assert.equal(imported.address, acc.address);
+      assert.equal(accs.decrypt(acc.encrypt("password"), "password").privateKey, acc.privateKey);
+    }).timeout(5000);
+
+    // toBuffer used to read 0x strings as numbers, dropping leading zero bytes
+    it("should convert 0x hex strings to buffers byte for byte", () => {
+      assert.equal(toBuffer("0x0000ff").toString("hex"), "0000ff");
+      assert.equal(toBuffer("0x00").length, 1);
+      assert.equal(toBuffer("0xfff").toString("hex"), "0fff");
+      assert.equal(toBuffer(255).toString("hex"), "ff");
+    });
+  });
+
+  describe("message signing tests", () => {
+    const privateKey = "0xefbc7a4bb0bf24624f97409473027b62f7ff76e3d232f167e002e1f5872cc2884dcff097bf9912b71d619fc78100de8cf7f55dfddbc2bf5f9fdc36bd670781ee";
+
+    // hash and signature as given by aion-web3-eth-accounts 1.2.6
+    const helloHash = "0x0902815e7a84dd9fb14ca69b56f80a8f3a46a3f8be4b7c3ff87440165db87672";
+    const helloSignature = "0x4dcff097bf9912b71d619fc78100de8cf7f55dfddbc2bf5f9fdc36bd670781eea5708f150655517982ac4df58b3d4e40e55f9d2d3b3ed85b8c4fc7427c17b54b6f9b2c21b06b10b1564aa64f960dece3a0c61edd63b0c2a99400a52d496c6705";
+
+    it("should hash messages like aion-web3", () => {
+      const accs = new Accounts();
+      assert.equal(accs.hashMessage("hello aion"), helloHash);
+      assert.equal(accs.hashMessage("0x" + Buffer.from("hello aion").toString('hex')), helloHash);
+    });
+
+    it("should sign and verify messages like aion-web3", () => {
+      const accs = new Accounts();
+      const signed = accs.privateKeyToAccount(privateKey).sign("hello aion");
+      assert.equal(signed.messageHash, helloHash);
+      assert.equal(signed.signature, helloSignature);
+      assert.isTrue(accs.verifyMessage("hello aion", helloSignature));
+    });
+
+    it("should sign a message and verify the signature", () => {
+      const accs = new Accounts();
+      const acc = accs.privateKeyToAccount(privateKey);
+
+      const signed = acc.sign("login challenge 42");
+      assert.equal(signed.message, "login challenge 42");
+      assert.equal(signed.messageHash, accs.hashMessage("login challenge 42"));
+      // public key is the leading part of the signature blob
+      assert.equal(signed.signature.slice(0, 66), acc.publicKey);
+      assert.isTrue(accs.verifyMessage("login challenge 42", signed.signature));
+      assert.isTrue(accs.verifyMessage(signed));
+    });
+
+    it("should reject a signature for a different message", () => {
+      const accs = new Accounts();
+      const acc = accs.privateKeyToAccount(privateKey);
+      const signed = acc.sign("login challenge 42");
+      assert.isFalse(accs.verifyMessage("login challenge 43", signed.signature));
+    });
+
+    it("should reject a signature with a swapped public key", () => {
+      const accs = new Accounts();
+      const acc = accs.privateKeyToAccount(privateKey);
+      const other = accs.create();
+      const signed = acc.sign("login challenge 42");
+      const forged = other.publicKey + signed.signature.slice(66);
+      assert.isFalse(accs.verifyMessage("login challenge 42", forged));
+      assert.isFalse(accs.verifyMessage("login challenge 42", "0x1234"));
+    });
+  });
+
+  describe("signature recovery tests", () => {
+    const privateKey = "0xefbc7a4bb0bf24624f97409473027b62f7ff76e3d232f167e002e1f5872cc2884dcff097bf9912b71d619fc78100de8cf7f55dfddbc2bf5f9fdc36bd670781ee";
+    const expectedAddress = "0xa0359946e3d0cc409e4079608f4efb7fd19a93f23a968c9130270f36af92141c";
+    const rawTransaction = "0xf8a001a0a050486fc4a5c236a9072961a5b7394885443cd53a704b2630d495d2fc6c268b880de0b6b3a764000080845b8457118252088800000002540be40001b8604dcff097bf9912b71d619fc78100de8cf7f55dfddbc2bf5f9fdc36bd670781ee84be4c9fdfa713e23c6b1b7f74e77f2a65037b82088611ae496c40ffc182fce2683787da136b19872cc7d9ac95a1c3400e2345202a7b09ec67c876587818010b";
+
+    it("should recover the signer of a valid message signature", () => {
+      const accs = new Accounts();
+      const signed = accs.privateKeyToAccount(privateKey).sign("attestation");
+      assert.equal(accs.recover("attestation", signed.signature), expectedAddress);
+      assert.equal(accs.recover(signed), expectedAddress);
+      assert.equal(accs.recover(signed.messageHash, signed.signature, true), expectedAddress);
+    });
+
+    it("should throw a typed error for a forged message signature", () => {
+      const accs = new Accounts();
+      const signed = accs.privateKeyToAccount(privateKey).sign("attestation");
+      const other = accs.create();
+      const forged = other.publicKey + signed.signature.slice(66);
+      assert.throws(() => accs.recover("attestation", forged), Accounts.errors.InvalidSignatureError);
+      assert.throws(() => accs.recover("another attestation", signed.signature), Accounts.errors.InvalidSignatureError);
+    });
+
+    it("should recover the sender of a signed transaction", () => {
+      const accs = new Accounts();
+      assert.equal(accs.recoverTransaction(rawTransaction), expectedAddress);
+    });
+
+    it("should throw a typed error for a tampered transaction", () => {
+      const accs = new Accounts();
+      // bump the nonce from 0x01 to 0x02, leaving the signature untouched
+      const tampered = rawTransaction.slice(0, 6) + "02" + rawTransaction.slice(8);
+      assert.throws(() => accs.recoverTransaction(tampered), Accounts.errors.InvalidSignatureError);
+    });
+  });
+
+  describe("transaction decoding tests", () => {
+    const rawTransaction = "0xf8a001a0a050486fc4a5c236a9072961a5b7394885443cd53a704b2630d495d2fc6c268b880de0b6b3a764000080845b8457118252088800000002540be40001b8604dcff097bf9912b71d619fc78100de8cf7f55dfddbc2bf5f9fdc36bd670781ee84be4c9fdfa713e23c6b1b7f74e77f2a65037b82088611ae496c40ffc182fce2683787da136b19872cc7d9ac95a1c3400e2345202a7b09ec67c876587818010b";
+
+    it("should decode the fields written by signTransaction", () => {
+      const accs = new Accounts();
+      const tx = accs.decodeTransaction(rawTransaction);
+
+      assert.isTrue(tx.nonce.eq(new BN(1)));
+      assert.equal(tx.to, "0xa050486fc4a5c236a9072961a5b7394885443cd53a704b2630d495d2fc6c268b");
+      assert.isTrue(tx.value.eq(new BN("1000000000000000000")));
+      assert.equal(tx.data, "0x");
+      assert.isTrue(tx.timestamp.eq(new BN(1535399697)));
+      assert.isTrue(tx.gas.eq(new BN(21000)));
+      assert.isTrue(tx.gasPrice.eq(new BN(10000000000)));
+      assert.equal(tx.type, 1);
+      assert.equal(tx.from, "0xa0359946e3d0cc409e4079608f4efb7fd19a93f23a968c9130270f36af92141c");
+      assert.equal(tx.publicKey, "0x4dcff097bf9912b71d619fc78100de8cf7f55dfddbc2bf5f9fdc36bd670781ee");
+      assert.equal(tx.messageHash, "0xfa466752c7a073d6bfd745d89f811a803e2d0654c74230ab01e656eb52fd4369");
+      assert.equal(tx.transactionHash, "0x15262747a3886c871f07919ffb7af768a302cfec58241e4f0f9f997a064e3647");
+    });
+
+    it("should compute the transaction hash of a raw transaction", async () => {
+      const accs = new Accounts();
+      // aion-web3-eth-accounts 1.2.6 returns the same hash for this transaction,
+      // as the messageHash of its signTransaction: blake2b256 of the raw bytes
+      const transactionHash = "0x15262747a3886c871f07919ffb7af768a302cfec58241e4f0f9f997a064e3647";
+      assert.equal(accs.transactionHash(rawTransaction), transactionHash);
+      assert.equal(accs.transactionHash(Buffer.from(removeLeadingZeroX(rawTransaction), 'hex')), transactionHash);
+      assert.throws(() => accs.transactionHash("0xc3010203"), Accounts.errors.InvalidTransactionError);
+
+      const acc = accs.create();
+      const signed = await acc.signTransaction({ data: "0x01", gasPrice: 1, gas: 300000, nonce: 0 });
+      assert.equal(signed.transactionHash, accs.transactionHash(signed.rawTransaction));
+      assert.notEqual(signed.transactionHash, signed.messageHash);
+    });
+
+    it("should round trip a contract creation", async () => {
+      const accs = new Accounts();
+      const acc = accs.create();
+      const signed = await acc.signTransaction({
+        data: "0x60606040",
+        gasPrice: 10000000000,
+        gas: 300000,
+        nonce: 0,
+        timestamp: 1535399697
+      });
+
+      const tx = accs.decodeTransaction(signed.rawTransaction);
+      assert.isNull(tx.to);
+      assert.equal(tx.data, "0x60606040");
+      assert.isTrue(tx.nonce.isZero());
+      assert.equal(tx.from, acc.address);
+      assert.equal(tx.messageHash, signed.messageHash);
+      assert.equal(tx.signature, signed.signature);
+    });
+
+    it("should reject an unsigned payload", () => {
+      const accs = new Accounts();
+      assert.throws(() => accs.decodeTransaction("0xc3010203"), Accounts.errors.InvalidTransactionError);
+    });
+  });
+
+  describe("checksum address tests", () => {
+    const privateKey = "0xefbc7a4bb0bf24624f97409473027b62f7ff76e3d232f167e002e1f5872cc2884dcff097bf9912b71d619fc78100de8cf7f55dfddbc2bf5f9fdc36bd670781ee";
+    const to = "0xa050486fc4a5c236a9072961a5b7394885443cd53a704b2630d495d2fc6c268b";
+    const checksummedTo = "0xa050486Fc4a5c236a9072961A5b7394885443CD53a704B2630d495D2fc6C268B";
+    const transaction = {
+      data: "",
+      gasPrice: 10000000000,
+      gas: 21000,
+      value: new BN("1000000000000000000"),
+      nonce: 1,
+      timestamp: 1535399697
+    };
+
+    it("should checksum addresses", () => {
+      const accs = new Accounts();
+      assert.equal(accs.toChecksumAddress(to), checksummedTo);
+      assert.isTrue(accs.isValidChecksumAddress(checksummedTo));
+      assert.isFalse(accs.isValidChecksumAddress(checksummedTo.replace("Fc4", "fc4")));
+    });
+
+    it("should sign transactions to a valid checksummed address", async () => {
+      const accs = new Accounts();
+      const acc = accs.privateKeyToAccount(privateKey);
+      const lower = await acc.signTransaction(Object.assign({ to: to }, transaction));
+      const checksummed = await acc.signTransaction(Object.assign({ to: checksummedTo }, transaction));
+      assert.equal(checksummed.rawTransaction, lower.rawTransaction);
+    });
+
+    it("should reject transactions to a mistyped checksummed address", async () => {
+      const accs = new Accounts();
+      const acc = accs.privateKeyToAccount(privateKey);
+      try {
+        await acc.signTransaction(Object.assign({ to: checksummedTo.replace("Fc4", "fc4") }, transaction));
+        assert.fail("signing should have failed");
+      } catch (e) {
+        assert.instanceOf(e, Accounts.errors.InvalidChecksumError);
+      }
+    });
+
+    it("should return checksummed addresses when asked to", () => {
+      const accs = new Accounts({ checksumAddresses: true });
+      const acc = accs.privateKeyToAccount(privateKey);
+      assert.equal(acc.address, accs.toChecksumAddress("0xa0359946e3d0cc409e4079608f4efb7fd19a93f23a968c9130270f36af92141c"));
+      assert.notEqual(acc.address, acc.address.toLowerCase());
+      assert.equal(accs.recover(acc.sign("hello")), acc.address);
+      assert.isTrue(accs.isValidChecksumAddress(accs.create().address));
+    });
+  });
+
+  describe("contract address tests", () => {
+    const privateKey = "0xefbc7a4bb0bf24624f97409473027b62f7ff76e3d232f167e002e1f5872cc2884dcff097bf9912b71d619fc78100de8cf7f55dfddbc2bf5f9fdc36bd670781ee";
+    const sender = "0xa0359946e3d0cc409e4079608f4efb7fd19a93f23a968c9130270f36af92141c";
+    const { blake2b256 } = require('../src/accounts-crypto');
+
+    // the kernel hashes RLP.encodeList(encodeElement(sender), encodeBigInteger(nonce))
+    // and sets the first byte to 0xa0, rebuilt here byte by byte
+    const expected = (rlpHex) => "0xa0" + blake2b256(Buffer.from(rlpHex, 'hex')).slice(1).toString('hex');
+
+    it("should hash the rlp of sender and nonce", () => {
+      const accs = new Accounts();
+      assert.equal(accs.computeContractAddress(sender, 0), expected("e2a0" + sender.slice(2) + "80"));
+      assert.equal(accs.computeContractAddress(sender, 1), expected("e2a0" + sender.slice(2) + "01"));
+      assert.equal(accs.computeContractAddress(sender, "256"), expected("e4a0" + sender.slice(2) + "820100"));
+    });
+
+    it("should take every nonce format and refuse bad input", () => {
+      const accs = new Accounts();
+      assert.equal(accs.computeContractAddress(sender, new BN(1)), expected("e2a0" + sender.slice(2) + "01"));
+      assert.equal(accs.computeContractAddress(sender, "0xff"), expected("e3a0" + sender.slice(2) + "81ff"));
+      assert.throws(() => accs.computeContractAddress("0x1234", 0), /invalid/);
+      assert.throws(() => accs.computeContractAddress(sender, -1), /negative/);
+    });
+
+    it("should include the contract address when signing deployments", async () => {
+      const accs = new Accounts();
+      const acc = accs.privateKeyToAccount(privateKey);
+      const fields = { data: "0x6060", gas: 300000, gasPrice: 10000000000, nonce: 1, timestamp: 1535399697 };
+
+      const deployment = await acc.signTransaction(fields);
+      assert.equal(deployment.contractAddress, accs.computeContractAddress(sender, 1));
+
+      const call = await acc.signTransaction(Object.assign({ to: sender }, fields));
+      assert.isUndefined(call.contractAddress);
+    });
   });
 
   describe("should properly import and export from keystore files", () => {
@@ -0,0 +1,80 @@
+/// AVM ABI Tests
+const assert = require('chai').assert;
+const Accounts = require('../src/index');
+
+const avm = Accounts.avm;
+const { AbiError, TransactionValidationError } = Accounts.errors;
+
+describe("avm abi tests", () => {
+  const address = "0xa050486fc4a5c236a9072961a5b7394885443cd53a704b2630d495d2fc6c268b";
+
+  it("should tag primitives", () => {
+    assert.equal(avm.encodeArguments(["byte", "boolean", "char", "short"], [-1, true, "a", 258]), "0x01ff" + "0201" + "030061" + "040102");
+    assert.equal(avm.encodeArguments(["int", "long"], [-2, "1000"]), "0x05fffffffe" + "0600000000000003e8");
+    assert.equal(avm.encodeArguments(["float", "double"], [1.5, 1.5]), "0x073fc00000" + "083ff8000000000000");
+  });
+
+  it("should tag strings, addresses, arrays and null", () => {
+    assert.equal(avm.encodeArguments(["String"], ["hi"]), "0x2100026869");
+    assert.equal(avm.encodeArguments(["Address"], [address]), "0x22" + address.slice(2));
+    assert.equal(avm.encodeArguments(["byte[]", "int[]"], ["0xcafe", [1]]), "0x110002cafe" + "15000100000001");
+    assert.equal(avm.encodeArguments(["int[][]"], [[[1], null]]), "0x31150002" + "15000100000001" + "3215");
+    assert.equal(avm.encodeArguments(["String[]"], [["a"]]), "0x31210001" + "21000161");
+    assert.equal(avm.encodeArguments(["String", "Address", "int[][]"], [null, null, null]), "0x3221" + "3222" + "323115");
+  });
+
+  it("should round trip method calls", () => {
+    const types = ["Address", "long", "boolean[]", "char[]", "double[]", "Address[]", "long[][]", "String"];
+    const args = [address, "-9223372036854775808", [true, false], ["x", "y"], [0.25], [address, null], [["1", "2"]], "héllo"];
+    const data = avm.encodeMethodCall("transfer", types, args);
+    const decoded = avm.decodeMethodCall(data);
+
+    assert.equal(decoded.method, "transfer");
+    assert.equal(decoded.args[0], address);
+    assert.equal(decoded.args[1].toString(), "-9223372036854775808");
+    assert.deepEqual(decoded.args.slice(2, 6), args.slice(2, 6));
+    assert.deepEqual(decoded.args[6][0].map(String), ["1", "2"]);
+    assert.equal(decoded.args[7], "héllo");
+  });
+
+  it("should wrap jars with their deployment arguments", () => {
+    const data = avm.encodeDeployment("0xcafebabe", ["int", "String"], [7, "a"]);
+    assert.equal(data, "0x00000004cafebabe" + "00000009" + "0500000007" + "21000161");
+    assert.deepEqual(avm.decodeDeployment(data), { jar: "0xcafebabe", args: [7, "a"] });
+    assert.equal(avm.encodeDeployment(Buffer.from([1]), [], []), "0x000000010100000000");
+  });
+
+  it("should reject invalid input with AbiError", () => {
+    assert.throws(() => avm.encodeArguments(["int"], [2147483648]), AbiError, /out of range/);
+    assert.throws(() => avm.encodeArguments(["int"], [null]), AbiError, /can not be null/);
+    assert.throws(() => avm.encodeArguments(["char"], ["ab"]), AbiError, /single character/);
+    assert.throws(() => avm.encodeArguments(["int[][][]"], [[]]), AbiError, /Unsupported type/);
+    assert.throws(() => avm.encodeArguments(["java.math.BigInteger"], [1]), AbiError, /Unsupported type/);
+    assert.throws(() => avm.encodeArguments(["int"], []), AbiError, /Expected 1 values/);
+    assert.throws(() => avm.decodeArguments("0x0500"), AbiError, /too short/);
+    assert.throws(() => avm.decodeArguments("0x40"), AbiError, /Unknown tag/);
+  });
+
+  it("should sign AVM deployments and calls", async () => {
+    const accs = new Accounts();
+    const acc = accs.create();
+    const fields = { gas: 5000000, gasPrice: 10000000000, nonce: 0, timestamp: 1535399697 };
+
+    const deployment = new Accounts.Transaction(Object.assign({ jar: "0xcafebabe", types: ["int"], args: [7] }, fields));
+    assert.equal(deployment.type, "0x2");
+    assert.equal(deployment.data, avm.encodeDeployment("0xcafebabe", ["int"], [7]));
+    assert.isTrue(deployment.isContractCreation());
+
+    const signed = await acc.signTransaction(Object.assign({ jar: "0xcafebabe", types: ["int"], args: [7] }, fields));
+    const decoded = accs.decodeTransaction(signed.rawTransaction);
+    assert.equal(decoded.type, 2);
+    assert.equal(decoded.data, deployment.data);
+
+    const call = new Accounts.Transaction(Object.assign({ to: address, method: "increment", types: ["int"], args: [1] }, fields));
+    assert.equal(call.type, "0x1");
+    assert.deepEqual(avm.decodeMethodCall(call.data), { method: "increment", args: [1] });
+
+    assert.throws(() => new Accounts.Transaction(Object.assign({ jar: "0xcafe", type: 1 }, fields)), TransactionValidationError, /type 2/);
+    assert.throws(() => new Accounts.Transaction(Object.assign({ jar: "0xcafe", to: address }, fields)), TransactionValidationError, /"to" must be empty/);
+  });
+});
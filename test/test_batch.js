@@ -0,0 +1,120 @@
+/// Batch Signing Tests
+const assert = require('chai').assert;
+const Accounts = require('../src/index');
+
+const { TransactionValidationError } = Accounts.errors;
+
+describe("batch signing tests", () => {
+  const privateKey = "0xefbc7a4bb0bf24624f97409473027b62f7ff76e3d232f167e002e1f5872cc2884dcff097bf9912b71d619fc78100de8cf7f55dfddbc2bf5f9fdc36bd670781ee";
+  const address = "0xa0359946e3d0cc409e4079608f4efb7fd19a93f23a968c9130270f36af92141c";
+  const to = "0xa050486fc4a5c236a9072961a5b7394885443cd53a704b2630d495d2fc6c268b";
+  const defaults = { gasPrice: 10000000000, gas: 21000 };
+
+  const payouts = (n) => Array.from({ length: n }, (_, i) => ({ to: to, value: (i + 1) * 1000 }));
+
+  it("should assign sequential nonces and shared defaults", async () => {
+    const accs = new Accounts();
+    const acc = accs.privateKeyToAccount(privateKey);
+    const batch = await acc.signBatch(payouts(3), { nonce: 7, defaults: defaults, timestamp: 1535399697 });
+
+    assert.equal(batch.nextNonce, 10);
+    assert.deepEqual(batch.results.map((r) => r.nonce), [7, 8, 9]);
+    batch.results.forEach((r, i) => {
+      assert.isNull(r.error);
+      const tx = accs.decodeTransaction(r.result.rawTransaction);
+      assert.equal(tx.nonce.toNumber(), 7 + i);
+      assert.equal(tx.value.toNumber(), (i + 1) * 1000);
+      assert.equal(tx.gasPrice.toNumber(), defaults.gasPrice);
+      assert.equal(tx.timestamp.toNumber(), 1535399697);
+      assert.equal(tx.from, address);
+    });
+  });
+
+  it("should report failures without using up their nonce", async () => {
+    const accs = new Accounts();
+    const txs = payouts(4);
+    txs[1].to = "0x1234";
+    txs[2] = null;
+
+    const batch = await accs.signBatch(txs, privateKey, { nonce: 0, defaults: defaults, verify: true });
+    const [first, second, third, fourth] = batch.results;
+
+    assert.equal(first.nonce, 0);
+    assert.instanceOf(second.error, TransactionValidationError);
+    assert.equal(second.error.field, "to");
+    assert.isNull(second.nonce);
+    assert.isNull(second.result);
+    assert.match(third.error.message, /No transaction object given/);
+    assert.equal(fourth.nonce, 1);
+    assert.equal(batch.nextNonce, 2);
+  });
+
+  it("should report items that fail verification without aborting the batch", async () => {
+    const accs = new Accounts();
+    const recover = accs.recoverTransaction.bind(accs);
+    let calls = 0;
+    accs.recoverTransaction = (rawTx) => (calls++ === 1 ? to : recover(rawTx));
+
+    const batch = await accs.signBatch(payouts(3), privateKey, { nonce: 0, defaults: defaults, verify: true });
+    const [first, second, third] = batch.results;
+
+    assert.isNull(first.error);
+    assert.instanceOf(second.error, Accounts.errors.InvalidSignatureError);
+    assert.match(second.error.message, /does not verify/);
+    assert.isNull(second.nonce);
+    assert.isNull(second.result);
+    // the nonce of the failed item is reused
+    assert.equal(third.nonce, 1);
+    assert.equal(batch.nextNonce, 2);
+  });
+
+  it("should use one timestamp for the whole batch when asked to", async () => {
+    const accs = new Accounts();
+    const batch = await accs.signBatch(payouts(2), privateKey, { nonce: 0, defaults: defaults, timestamp: "batch" });
+    const timestamps = batch.results.map((r) => accs.decodeTransaction(r.result.rawTransaction).timestamp.toNumber());
+    assert.equal(timestamps[0], timestamps[1]);
+
+    try {
+      await accs.signBatch(payouts(1), privateKey, { nonce: 0, timestamp: "later" });
+      assert.fail("signing should have failed");
+    } catch (e) {
+      assert.match(e.message, /Unknown timestamp strategy/);
+    }
+  });
+
+  it("should refuse nonces on items and a missing start nonce", async () => {
+    const accs = new Accounts();
+    const batch = await accs.signBatch([Object.assign({ nonce: 3 }, payouts(1)[0])], privateKey, { nonce: 0, defaults: defaults });
+    assert.equal(batch.results[0].error.field, "nonce");
+    assert.equal(batch.nextNonce, 0);
+
+    try {
+      await accs.signBatch(payouts(1), privateKey, { defaults: defaults });
+      assert.fail("signing should have failed");
+    } catch (e) {
+      assert.instanceOf(e, TransactionValidationError);
+      assert.equal(e.field, "nonce");
+    }
+  });
+
+  it("should start at the pending nonce of the provider", async () => {
+    const accs = new Accounts({ provider: (method, params) => {
+      assert.equal(method, "eth_getTransactionCount");
+      assert.deepEqual(params, [address, "pending"]);
+      return "0x5";
+    } });
+    const batch = await accs.signBatch(payouts(2), privateKey, { defaults: defaults });
+    assert.deepEqual(batch.results.map((r) => r.nonce), [5, 6]);
+  });
+
+  it("should sign a batch with a wallet account", async () => {
+    const accs = new Accounts();
+    accs.wallet.add(privateKey);
+
+    const batch = await accs.wallet.signBatch(payouts(2), { from: address, nonce: 0, defaults: defaults });
+    assert.equal(accs.recoverTransaction(batch.results[1].result.rawTransaction), address);
+
+    const unknown = await accs.wallet.signBatch(payouts(1), { from: to, nonce: 0 });
+    assert.instanceOf(unknown.results[0].error, Accounts.errors.UnknownAccountError);
+  });
+});
@@ -0,0 +1,111 @@
+/// Command Line Interface Tests
+const assert = require('chai').assert;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const spawnSync = require('child_process').spawnSync;
+const Accounts = require('../src/index');
+
+const CLI = path.join(__dirname, '..', 'bin', 'aion-keystore.js');
+
+const privateKey = "0xefbc7a4bb0bf24624f97409473027b62f7ff76e3d232f167e002e1f5872cc2884dcff097bf9912b71d619fc78100de8cf7f55dfddbc2bf5f9fdc36bd670781ee";
+const address = "0xa0359946e3d0cc409e4079608f4efb7fd19a93f23a968c9130270f36af92141c";
+
+const run = (args, options) => {
+  options = options || {};
+  return spawnSync(process.execPath, [CLI].concat(args), {
+    cwd: options.cwd,
+    input: options.input || '',
+    env: Object.assign({}, process.env, { AION_KEY: privateKey, AION_PASSWORD: "secret" }, options.env),
+    encoding: 'utf8',
+    timeout: 30000
+  });
+};
+
+const runJson = (args, options) => {
+  const res = run(args.concat(['--json']), options);
+  assert.equal(res.status, 0, res.stderr);
+  return JSON.parse(res.stdout);
+};
+
+describe("cli tests", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'aion-cli-'));
+  });
+
+  afterEach(() => {
+    fs.readdirSync(dir).forEach((file) => fs.unlinkSync(path.join(dir, file)));
+    fs.rmdirSync(dir);
+  });
+
+  it("should create an account", () => {
+    const res = runJson(['create']);
+    assert.match(res.address, /^0xa0[0-9a-f]{62}$/);
+    assert.match(res.privateKey, /^0x[0-9a-f]{128}$/);
+  });
+
+  it("should derive the address of a private key", () => {
+    assert.equal(runJson(['address', '--key-env', 'AION_KEY']).address, address);
+  });
+
+  it("should refuse secrets on the command line", () => {
+    const res = run(['decrypt', 'keystore', '--password', 'secret']);
+    assert.equal(res.status, 1);
+    assert.match(res.stderr, /--password is not accepted/);
+  });
+
+  it("should encrypt, convert, inspect and decrypt a keystore", () => {
+    const rlpFile = path.join(dir, 'key.rlp');
+    const jsonFile = path.join(dir, 'key.json');
+    const passwordFile = path.join(dir, 'password');
+    fs.writeFileSync(passwordFile, "secret\n");
+
+    runJson(['encrypt', '--key-env', 'AION_KEY', '--password-env', 'AION_PASSWORD', '--out', rlpFile]);
+    runJson(['convert', rlpFile, '--out', jsonFile, '--format', 'json']);
+
+    const inspected = runJson(['inspect', jsonFile]);
+    assert.equal(inspected.format, 'json');
+    assert.equal(inspected.address, address);
+
+    const decrypted = runJson(['decrypt', rlpFile, '--password-file', passwordFile, '--show-private-key']);
+    assert.equal(decrypted.privateKey, privateKey);
+
+    // password from the prompt, stdin is not a terminal here
+    const prompted = runJson(['decrypt', jsonFile], { input: "secret\n" });
+    assert.equal(prompted.address, address);
+    assert.isUndefined(prompted.privateKey);
+  }).timeout(30000);
+
+  it("should not prefix addresses that already start with 0x", () => {
+    const keystoreFile = path.join(dir, 'prefixed.json');
+    const keystore = new Accounts().privateKeyToAccount(privateKey).encrypt("secret", { n: 1024 });
+    keystore.address = address;
+    fs.writeFileSync(keystoreFile, JSON.stringify(keystore));
+
+    assert.equal(runJson(['inspect', keystoreFile]).address, address);
+    assert.equal(runJson(['convert', keystoreFile, '--out', path.join(dir, 'prefixed.rlp'), '--format', 'rlp']).address, address);
+  });
+
+  it("should sign and decode a transaction", () => {
+    const txFile = path.join(dir, 'tx.json');
+    fs.writeFileSync(txFile, JSON.stringify({
+      to: "0xa050486fc4a5c236a9072961a5b7394885443cd53a704b2630d495d2fc6c268b",
+      data: "",
+      gasPrice: 10000000000,
+      gas: 21000,
+      value: "1000000000000000000",
+      nonce: 1,
+      timestamp: 1535399697
+    }));
+
+    const signed = runJson(['sign', txFile, '--key-env', 'AION_KEY']);
+    assert.equal(signed.messageHash, "0xfa466752c7a073d6bfd745d89f811a803e2d0654c74230ab01e656eb52fd4369");
+
+    const decoded = runJson(['decode', signed.rawTransaction]);
+    assert.equal(decoded.from, address);
+    assert.equal(decoded.value, "1000000000000000000");
+    assert.equal(decoded.nonce, "1");
+  }).timeout(30000);
+});
@@ -0,0 +1,116 @@
+/// Offline Signing Envelope Tests
+const assert = require('chai').assert;
+const Accounts = require('../src/index');
+
+const { EnvelopeError, InvalidSignatureError, TransactionValidationError } = Accounts.errors;
+
+describe("envelope tests", () => {
+  const privateKey = "0xefbc7a4bb0bf24624f97409473027b62f7ff76e3d232f167e002e1f5872cc2884dcff097bf9912b71d619fc78100de8cf7f55dfddbc2bf5f9fdc36bd670781ee";
+  const address = "0xa0359946e3d0cc409e4079608f4efb7fd19a93f23a968c9130270f36af92141c";
+  const to = "0xa050486fc4a5c236a9072961a5b7394885443cd53a704b2630d495d2fc6c268b";
+  const tx = {
+    to: to,
+    data: "",
+    gasPrice: 10000000000,
+    gas: 21000,
+    value: "1500000000000000000",
+    nonce: 1,
+    timestamp: 1535399697
+  };
+
+  it("should export a portable unsigned envelope", async () => {
+    const accs = new Accounts();
+    const envelope = await accs.exportUnsigned(tx, address);
+
+    assert.deepEqual(envelope, {
+      version: 1,
+      kind: "unsigned",
+      from: address,
+      transaction: {
+        nonce: "0x1",
+        to: to,
+        value: "0x14d1120d7b160000",
+        data: "0x",
+        timestamp: "0x5b845711",
+        gas: "0x5208",
+        gasPrice: "0x2540be400",
+        type: "0x1"
+      },
+      summary: "Send 1.5 AION from " + address + " to " + to + ", nonce 1, energy limit 21000 at 10 nAmp"
+    });
+  });
+
+  it("should sign on one side and verify on the other", async () => {
+    const online = new Accounts();
+    const offline = new Accounts();
+
+    // envelopes travel as JSON
+    const exported = JSON.stringify(await online.exportUnsigned(tx, address));
+    const signed = await offline.privateKeyToAccount(privateKey).signEnvelope(exported);
+
+    assert.equal(signed.kind, "signed");
+    assert.equal(signed.messageHash, new Accounts.Transaction(tx).hash());
+    assert.equal(online.decodeTransaction(signed.rawTransaction).from, address);
+    assert.equal(online.verifySignedEnvelope(JSON.stringify(signed), exported), signed.rawTransaction);
+  });
+
+  it("should summarize contract deployments", async () => {
+    const accs = new Accounts();
+    const envelope = await accs.exportUnsigned({ jar: "0xcafebabe", gas: 5000000, gasPrice: 10000000000, nonce: 0, from: address });
+    assert.match(envelope.summary, /^Deploy AVM contract \(12 bytes\) from 0xa035.* with 0 AION, nonce 0/);
+  });
+
+  it("should refuse the wrong signer", async () => {
+    const accs = new Accounts();
+    const exported = await accs.exportUnsigned(tx, accs.create().address);
+    try {
+      await accs.signEnvelope(exported, privateKey);
+      assert.fail("signing should have failed");
+    } catch (e) {
+      assert.instanceOf(e, EnvelopeError);
+      assert.match(e.message, /expects sender/);
+    }
+  });
+
+  it("should detect a signed envelope that does not match the export", async () => {
+    const accs = new Accounts();
+    const exported = await accs.exportUnsigned(tx, address);
+    const other = await accs.exportUnsigned(Object.assign({}, tx, { value: "2000000000000000000" }), address);
+    const signed = await accs.signEnvelope(other, privateKey);
+
+    assert.throws(() => accs.verifySignedEnvelope(signed, exported), EnvelopeError, /does not match/);
+
+    // same fields, signed by someone else
+    const stranger = accs.create();
+    const foreign = await accs.signEnvelope(await accs.exportUnsigned(tx, stranger.address), stranger.privateKey);
+    assert.throws(() => accs.verifySignedEnvelope(foreign, exported), EnvelopeError, /expected/);
+
+    // tampered signature
+    const tampered = Object.assign({}, await accs.signEnvelope(exported, privateKey));
+    tampered.rawTransaction = tampered.rawTransaction.slice(0, -2) + (tampered.rawTransaction.slice(-2) === "00" ? "01" : "00");
+    assert.throws(() => accs.verifySignedEnvelope(tampered, exported), InvalidSignatureError);
+  });
+
+  it("should reject malformed envelopes", async () => {
+    const accs = new Accounts();
+    const exported = await accs.exportUnsigned(tx, address);
+
+    assert.throws(() => accs.verifySignedEnvelope(exported, exported), EnvelopeError, /signed transaction envelope/);
+    assert.throws(() => accs.verifySignedEnvelope("{", exported), EnvelopeError, /not valid JSON/);
+
+    try {
+      await accs.signEnvelope(Object.assign({}, exported, { version: 2 }), privateKey);
+      assert.fail("signing should have failed");
+    } catch (e) {
+      assert.match(e.message, /Unsupported envelope version 2/);
+    }
+
+    try {
+      await accs.exportUnsigned(tx);
+      assert.fail("export should have failed");
+    } catch (e) {
+      assert.instanceOf(e, TransactionValidationError);
+      assert.equal(e.field, "from");
+    }
+  });
+});
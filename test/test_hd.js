@@ -0,0 +1,79 @@
+/// Mnemonic and HD Derivation Tests
+const assert = require('chai').assert;
+const Accounts = require('../src/index');
+const hd = require('../src/accounts-hd');
+
+describe("hd account tests", () => {
+  // https://github.com/satoshilabs/slips/blob/master/slip-0010.md, test vector 1 for ed25519
+  describe("slip-0010 ed25519 derivation", () => {
+    const seed = Buffer.from("000102030405060708090a0b0c0d0e0f", 'hex');
+
+    it("should derive the master key", () => {
+      const m = hd.derivePath("m", seed);
+      assert.equal(m.key.toString('hex'), "2b4be7f19ee27bbf30c667b642d5f4aa69fd169872f8fc3059c08ebae2eb19e7");
+      assert.equal(m.chainCode.toString('hex'), "90046a93de5380a72b5e45010748567d5ea02bbf6522f979e05c0d8d8ca9fffb");
+    });
+
+    it("should derive hardened children", () => {
+      const child = hd.derivePath("m/0'", seed);
+      assert.equal(child.key.toString('hex'), "68e0fe46dfb67e368c75379acec591dad19df3cde26e63b93a8e704f1dade7a3");
+      assert.equal(child.chainCode.toString('hex'), "8b59aa11380b624e81507a27fedda59fea6d0b779a778918a2fd3590e16e9c69");
+
+      const deep = hd.derivePath("m/0'/1'/2'/2'/1000000000'", seed);
+      assert.equal(deep.key.toString('hex'), "8f94d394a8e8fd6b1bc2f3f49f5c47e385281d5c17e65324b0f62483e37e8793");
+    });
+
+    it("should reject non-hardened paths", () => {
+      assert.throws(() => hd.derivePath("m/44'/425'/0", seed), /hardened/);
+    });
+  });
+
+  describe("mnemonic accounts", () => {
+    const mnemonic = "abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about";
+
+    it("should generate and validate mnemonics", () => {
+      const accs = new Accounts();
+      const generated = accs.generateMnemonic();
+      assert.lengthOf(generated.split(' '), 12);
+      assert.isTrue(accs.validateMnemonic(generated));
+      assert.isFalse(accs.validateMnemonic("abandon abandon abandon"));
+    });
+
+    it("should derive deterministic accounts on the aion path", () => {
+      const accs = new Accounts();
+      const first = accs.mnemonicToAccount(mnemonic, 0);
+      const again = accs.mnemonicToAccount(mnemonic, "m/44'/425'/0'/0'/0'");
+      const second = accs.mnemonicToAccount(mnemonic, 1);
+
+      assert.equal(first.address, again.address);
+      assert.notEqual(first.address, second.address);
+      assert.isFunction(first.signTransaction);
+      assert.notEqual(accs.mnemonicToAccount(mnemonic, 0, "passphrase").address, first.address);
+    });
+
+    // derived with ed25519-hd-key 1.3.0 (SLIP-0010) from the bip39 seed, the
+    // address and key as given by aion-web3-eth-accounts 1.2.6 privateKeyToAccount
+    it("should match the aion path accounts of other implementations", () => {
+      const accs = new Accounts();
+      const first = accs.mnemonicToAccount(mnemonic, 0);
+      assert.equal(first.address, "0xa098ddc886db773b21f55470f4b2b2da93272da9224a445cd62c495fa6b14420");
+      assert.equal(first.privateKey, "0x6261bfbdb7304711b616f7809305c5e4e4680be82879afefff1c1b9d9d5e5f711bf9b87fd033c9d364127935737f8d8bf75875660f3fdfa6bb09730e85080e08");
+      assert.equal(accs.mnemonicToAccount(mnemonic, 1).address, "0xa002003d63e37d49465fb0ce7400e139e36d8aeb399ac25d082e21b273554b66");
+    });
+
+    it("should reject an invalid mnemonic", () => {
+      const accs = new Accounts();
+      assert.throws(() => accs.mnemonicToAccount("not a mnemonic", 0), /Invalid mnemonic/);
+    });
+
+    it("should create sequential wallet accounts from a mnemonic", () => {
+      const accs = new Accounts();
+      accs.wallet.create(3, mnemonic);
+
+      assert.equal(accs.wallet.length, 3);
+      for (let i = 0; i < 3; i++) {
+        assert.equal(accs.wallet[i].address, accs.mnemonicToAccount(mnemonic, i).address);
+      }
+    });
+  });
+});
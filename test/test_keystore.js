@@ -0,0 +1,233 @@
+/// Keystore Encryption Tests
+const assert = require('chai').assert;
+const Accounts = require('../src/index');
+const { removeLeadingZeroX } = require('../src/accounts-format');
+
+describe("keystore tests", () => {
+  const keystores = require('./ksv3_test_vector.json');
+
+  describe("async encrypt and decrypt", () => {
+    const fixed = (k) => ({
+      salt: Buffer.from(k.salt, 'hex'),
+      iv: Buffer.from(k.iv, 'hex'),
+      uuid: k.uuid
+    });
+
+    it("should produce the same keystore as the sync version", async () => {
+      const accs = new Accounts();
+      const k = keystores[0];
+      const acc = accs.privateKeyToAccount(k.privateKey);
+
+      const sync = acc.encrypt(k.password, fixed(k));
+      const async = await acc.encryptAsync(k.password, fixed(k));
+      assert.deepEqual(async, sync);
+
+      const rlp = await acc.encryptToRlpAsync(k.password, fixed(k));
+      assert.equal(rlp.toString('hex'), k.ksv3);
+    }).timeout(10000);
+
+    it("should decrypt the rlp test vector and report progress", async () => {
+      const accs = new Accounts();
+      const k = keystores[0];
+      const reports = [];
+
+      const acc = await accs.decryptFromRlpAsync(Buffer.from(k.ksv3, 'hex'), k.password, {
+        onProgress: (progress) => reports.push(progress)
+      });
+
+      assert.equal(removeLeadingZeroX(acc.privateKey), k.privateKey);
+      assert.isAbove(reports.length, 1);
+      assert.equal(reports[reports.length - 1].percent, 100);
+    }).timeout(10000);
+
+    it("should reject with AbortError when aborted", async () => {
+      const accs = new Accounts();
+      const k = keystores[0];
+      const signal = { aborted: false };
+
+      try {
+        await accs.decryptFromRlpAsync(Buffer.from(k.ksv3, 'hex'), k.password, {
+          signal: signal,
+          onProgress: () => { signal.aborted = true; }
+        });
+        assert.fail("decryption should have been aborted");
+      } catch (e) {
+        assert.instanceOf(e, Accounts.errors.AbortError);
+      }
+    }).timeout(10000);
+
+    it("should reject a wrong password", async () => {
+      const accs = new Accounts();
+      const k = keystores[0];
+
+      try {
+        await accs.decryptFromRlpAsync(Buffer.from(k.ksv3, 'hex'), "wrong");
+        assert.fail("decryption should have failed");
+      } catch (e) {
+        assert.match(e.message, /wrong password/);
+      }
+    }).timeout(10000);
+
+    it("should round trip a wallet", async () => {
+      const accs = new Accounts();
+      accs.wallet.create(2);
+      const indexes = [];
+
+      const encrypted = await accs.wallet.encryptAsync("password", {
+        onProgress: (progress) => indexes.push(progress.index)
+      });
+      assert.lengthOf(encrypted, 2);
+      assert.includeMembers(indexes, [0, 1]);
+
+      const other = new Accounts();
+      await other.wallet.decryptAsync(encrypted, "password");
+      assert.equal(other.wallet.length, 2);
+      assert.equal(other.wallet[0].address, accs.wallet[0].address);
+      assert.equal(other.wallet[1].address, accs.wallet[1].address);
+    }).timeout(20000);
+  });
+
+  describe("keystore validation", () => {
+    const codes = (problems) => problems.map((p) => p.code + ':' + p.path);
+
+    it("should accept the kernel test vector with and without password", () => {
+      const accs = new Accounts();
+      const k = keystores[0];
+      const rlp = Buffer.from(k.ksv3, 'hex');
+      assert.deepEqual(accs.validateKeystore(rlp), []);
+      assert.deepEqual(accs.validateKeystore(rlp, { password: k.password }), []);
+    }).timeout(5000);
+
+    it("should report every structural problem", () => {
+      const accs = new Accounts();
+      const keystore = accs.create().encrypt("password");
+      keystore.id = "not-a-uuid";
+      keystore.crypto.cipher = "aes-256-cbc";
+      keystore.crypto.kdfparams.salt = "abcd";
+      keystore.crypto.kdfparams.n = 1000;
+      delete keystore.crypto.kdfparams.r;
+      delete keystore.crypto.mac;
+
+      assert.sameMembers(codes(accs.validateKeystore(keystore, { password: "password" })), [
+        "INVALID_UUID:id",
+        "UNSUPPORTED_CIPHER:crypto.cipher",
+        "INVALID_HEX:crypto.kdfparams.salt",
+        "INVALID_KDF_PARAM:crypto.kdfparams.n",
+        "MISSING_FIELD:crypto.kdfparams.r",
+        "MISSING_FIELD:crypto.mac"
+      ]);
+    });
+
+    it("should report scrypt parameters that cost too much together", () => {
+      const accs = new Accounts();
+      const keystore = accs.create().encrypt("password", { n: 1024 });
+      keystore.crypto.kdfparams.n = Math.pow(2, 20);
+      keystore.crypto.kdfparams.r = 32;
+
+      // returns before deriving a key, which would need 4 GiB
+      assert.deepEqual(codes(accs.validateKeystore(keystore, { password: "password" })), ["KDF_TOO_EXPENSIVE:crypto.kdfparams"]);
+
+      // every built-in profile is within the limits
+      Object.keys(Accounts.KDF_PROFILES).forEach((name) => {
+        Object.assign(keystore.crypto.kdfparams, Accounts.KDF_PROFILES[name]);
+        assert.deepEqual(codes(accs.validateKeystore(keystore)), [], name);
+      });
+    });
+
+    it("should report unparseable input", () => {
+      const accs = new Accounts();
+      assert.deepEqual(codes(accs.validateKeystore("{ truncated")), ["INVALID_ENCODING:"]);
+      assert.deepEqual(codes(accs.validateKeystore([])), ["NOT_AN_OBJECT:"]);
+    });
+
+    it("should report a wrong password", () => {
+      const accs = new Accounts();
+      const keystore = accs.create().encrypt("password");
+      assert.deepEqual(codes(accs.validateKeystore(keystore, { password: "wrong" })), ["MAC_MISMATCH:crypto.mac"]);
+    }).timeout(5000);
+
+    it("should accept an upper case mac", () => {
+      const accs = new Accounts();
+      const account = accs.create();
+      const keystore = account.encrypt("password", { n: 1024 });
+      keystore.crypto.mac = keystore.crypto.mac.toUpperCase();
+
+      assert.deepEqual(accs.validateKeystore(keystore, { password: "password" }), []);
+      assert.equal(accs.decrypt(keystore, "password").address, account.address);
+    });
+
+    it("should report an address that does not match the key", () => {
+      const accs = new Accounts();
+      const keystore = accs.create().encrypt("password");
+      keystore.address = removeLeadingZeroX(accs.create().address);
+      assert.deepEqual(codes(accs.validateKeystore(keystore)), []);
+      assert.deepEqual(codes(accs.validateKeystore(keystore, { password: "password" })), ["ADDRESS_MISMATCH:address"]);
+    }).timeout(5000);
+  });
+
+  describe("keystore re-encryption", () => {
+    it("should honour an explicit scrypt n", () => {
+      const accs = new Accounts();
+      const keystore = accs.create().encrypt("password", { n: 4096 });
+      assert.equal(keystore.crypto.kdfparams.n, 4096);
+      assert.equal(accs.create().encrypt("password").crypto.kdfparams.n, Accounts.KDF_PROFILES.fast.n);
+      assert.throws(() => accs.create().encrypt("password", { kdfProfile: "weak" }), /Unknown kdf profile/);
+    }).timeout(5000);
+
+    it("should change the password and keep uuid and address", () => {
+      const accs = new Accounts();
+      const k = keystores[0];
+      const original = Accounts.fromRlp(Buffer.from(k.ksv3, 'hex'));
+
+      const reencrypted = accs.reencrypt(original, k.password, "new password", { n: 16384 });
+      assert.equal(reencrypted.id, original.id);
+      assert.equal(reencrypted.address, original.address);
+      assert.equal(reencrypted.crypto.kdfparams.n, 16384);
+      assert.notEqual(reencrypted.crypto.ciphertext, original.crypto.ciphertext);
+      assert.equal(accs.decrypt(reencrypted, "new password").privateKey, "0x" + k.privateKey);
+      assert.throws(() => accs.decrypt(reencrypted, k.password), /wrong password/);
+    }).timeout(10000);
+
+    it("should re-encrypt rlp keystores", () => {
+      const accs = new Accounts();
+      const k = keystores[0];
+      const reencrypted = accs.reencryptRlp(Buffer.from(k.ksv3, 'hex'), k.password, "new password");
+      assert.equal(accs.decryptFromRlp(reencrypted, "new password").privateKey, "0x" + k.privateKey);
+      assert.equal(Accounts.fromRlp(reencrypted).crypto.kdfparams.n, Accounts.fromRlp(Buffer.from(k.ksv3, 'hex')).crypto.kdfparams.n);
+    }).timeout(10000);
+
+    it("should keep the scrypt strength of the keystore", () => {
+      const accs = new Accounts();
+      const kernel = accs.create().encrypt("password", { kdfProfile: "kernel" });
+
+      const reencrypted = accs.reencrypt(kernel, "password", "new password");
+      assert.equal(reencrypted.crypto.kdfparams.n, Accounts.KDF_PROFILES.kernel.n);
+      assert.equal(reencrypted.crypto.kdfparams.r, kernel.crypto.kdfparams.r);
+      assert.equal(reencrypted.crypto.kdfparams.p, kernel.crypto.kdfparams.p);
+
+      const custom = accs.create().encrypt("password", { n: 16384 });
+      assert.equal(accs.reencrypt(custom, "password", "new").crypto.kdfparams.n, 16384);
+      assert.equal(accs.wallet.reencrypt([custom], "password", "new")[0].crypto.kdfparams.n, 16384);
+      // an explicit strength still wins
+      assert.equal(accs.reencrypt(custom, "password", "new", { kdfProfile: "fast" }).crypto.kdfparams.n, Accounts.KDF_PROFILES.fast.n);
+    }).timeout(60000);
+
+    it("should re-encrypt a whole wallet", () => {
+      const accs = new Accounts();
+      accs.wallet.create(2);
+      const encrypted = accs.wallet.encrypt("old");
+      const reencrypted = accs.wallet.reencrypt(encrypted, "old", "new");
+
+      assert.deepEqual(reencrypted.map((k) => k.id), encrypted.map((k) => k.id));
+      const other = new Accounts();
+      other.wallet.decrypt(reencrypted, "new");
+      assert.equal(other.wallet.length, 2);
+    }).timeout(20000);
+
+    it("should refuse a wrong old password", () => {
+      const accs = new Accounts();
+      const keystore = accs.create().encrypt("password");
+      assert.throws(() => accs.reencrypt(keystore, "wrong", "new password"), /wrong password/);
+    }).timeout(5000);
+  });
+});
@@ -0,0 +1,108 @@
+/// Keystore Directory Tests
+const assert = require('chai').assert;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Accounts = require('../src/index');
+
+describe("keystore directory tests", () => {
+  const keystores = require('./ksv3_test_vector.json');
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'aion-keystore-'));
+  });
+
+  afterEach(() => {
+    fs.readdirSync(dir).forEach((file) => fs.unlinkSync(path.join(dir, file)));
+    fs.rmdirSync(dir);
+  });
+
+  it("should name files like the kernel", () => {
+    const name = Accounts.KeystoreDir.keystoreFileName(
+      "0xA0329AAE421D73F0DDF57E03E1F828CB57E6A1B5FFF2C00C6D75B8F0B6809E53",
+      new Date(Date.UTC(2018, 7, 28, 7, 53, 17, 163))
+    );
+    assert.equal(name, "UTC--2018-08-28T07-53-17.163Z--a0329aae421d73f0ddf57e03e1f828cb57e6a1b5fff2c00c6d75b8f0b6809e53");
+  });
+
+  it("should read a kernel rlp keystore file", () => {
+    const k = keystores[0];
+    const file = Accounts.KeystoreDir.keystoreFileName(k.address);
+    fs.writeFileSync(path.join(dir, file), Buffer.from(k.ksv3, 'hex'));
+    fs.writeFileSync(path.join(dir, "README"), "not a keystore");
+
+    const keystoreDir = new Accounts.KeystoreDir(dir);
+    assert.deepEqual(keystoreDir.list(), ["0x" + k.address]);
+
+    const acc = keystoreDir.import("0x" + k.address, k.password);
+    assert.equal(acc.privateKey, "0x" + k.privateKey);
+  }).timeout(5000);
+
+  it("should export, list and remove accounts in both encodings", () => {
+    const accs = new Accounts();
+    const keystoreDir = new Accounts.KeystoreDir(dir, accs);
+    const rlpAccount = accs.create();
+    const jsonAccount = accs.create();
+
+    keystoreDir.export(rlpAccount, "password");
+    keystoreDir.export(jsonAccount, "password", { format: 'json' });
+
+    const entries = keystoreDir.scan().entries;
+    assert.lengthOf(entries, 2);
+    assert.sameMembers(entries.map((e) => e.format), ['rlp', 'json']);
+    assert.sameMembers(keystoreDir.list(), [rlpAccount.address, jsonAccount.address]);
+
+    assert.throws(() => keystoreDir.export(rlpAccount, "password"), /already exists/);
+    assert.equal(keystoreDir.import(jsonAccount.address, "password").privateKey, jsonAccount.privateKey);
+
+    assert.throws(() => keystoreDir.remove(undefined), /invalid/);
+    assert.throws(() => keystoreDir.remove(rlpAccount.address.slice(0, -2)), /invalid/);
+    assert.lengthOf(keystoreDir.list(), 2);
+
+    assert.equal(keystoreDir.remove(rlpAccount.address), 1);
+    assert.deepEqual(keystoreDir.list(), [jsonAccount.address]);
+  }).timeout(10000);
+
+  it("should only export accounts whose key it has", () => {
+    const accs = new Accounts();
+    const keystoreDir = new Accounts.KeystoreDir(dir, accs);
+    const account = accs.create();
+
+    const locked = accs.lockedAccount(account.encrypt("password", { n: 1024 }));
+    const signed = accs.signerToAccount(new Accounts.LocalSigner(account.privateKey));
+    assert.throws(() => keystoreDir.export(locked, "password"), /no private key/);
+    assert.throws(() => keystoreDir.export(signed, "password"), /no private key/);
+
+    const other = accs.create();
+    const mixed = Object.assign({}, account, { _privateKey: other._privateKey });
+    assert.throws(() => keystoreDir.export(mixed, "password", { n: 1024 }), /does not match/);
+    assert.deepEqual(keystoreDir.list(), []);
+  }).timeout(10000);
+
+  it("should report corrupted and duplicate files", () => {
+    const k = keystores[0];
+    const other = keystores[1];
+    const keystoreDir = new Accounts.KeystoreDir(dir);
+
+    fs.writeFileSync(path.join(dir, "UTC--2018-08-28T07-53-17.163Z--" + k.address), Buffer.from(k.ksv3, 'hex'));
+    fs.writeFileSync(path.join(dir, "UTC--2018-08-29T07-53-17.163Z--" + k.address), Buffer.from(k.ksv3, 'hex'));
+    fs.writeFileSync(path.join(dir, "UTC--2018-08-30T07-53-17.163Z--" + other.address), "{ truncated");
+    // contents belong to a different address than the file name
+    fs.writeFileSync(path.join(dir, "UTC--2018-08-31T07-53-17.163Z--" + other.address), Buffer.from(k.ksv3, 'hex'));
+
+    const result = keystoreDir.scan();
+    assert.lengthOf(result.entries, 2);
+    assert.lengthOf(result.corrupted, 2);
+    assert.deepEqual(result.duplicates, [{
+      address: "0x" + k.address,
+      files: [
+        "UTC--2018-08-28T07-53-17.163Z--" + k.address,
+        "UTC--2018-08-29T07-53-17.163Z--" + k.address
+      ]
+    }]);
+
+    assert.throws(() => keystoreDir.import("0x" + k.address, k.password), /Duplicate/);
+    assert.equal(keystoreDir.remove(k.address), 2);
+  });
+});
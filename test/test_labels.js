@@ -0,0 +1,139 @@
+/// Wallet Labels and Metadata Tests
+const assert = require('chai').assert;
+const Accounts = require('../src/index');
+
+const { UnknownAccountError } = Accounts.errors;
+
+describe("wallet label tests", () => {
+  const privateKey = "0xefbc7a4bb0bf24624f97409473027b62f7ff76e3d232f167e002e1f5872cc2884dcff097bf9912b71d619fc78100de8cf7f55dfddbc2bf5f9fdc36bd670781ee";
+  const address = "0xa0359946e3d0cc409e4079608f4efb7fd19a93f23a968c9130270f36af92141c";
+  const mnemonic = "abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about";
+
+  it("should list, get and iterate over accounts", () => {
+    const accs = new Accounts();
+    const wallet = accs.wallet;
+    wallet.add(privateKey);
+    wallet.create(2);
+
+    assert.lengthOf(wallet.list(), 3);
+    assert.deepEqual(wallet.list().map((account) => account.index), [0, 1, 2]);
+    assert.equal(wallet.get(address.toUpperCase().replace("0X", "0x")), wallet[0]);
+    assert.equal(wallet.get(2), wallet[2]);
+    assert.isUndefined(wallet.get("nobody"));
+
+    wallet.remove(1);
+    assert.deepEqual([...wallet].map((account) => account.index), [0, 2]);
+
+    // the free index is reused
+    wallet.create(1);
+    assert.deepEqual(wallet.list().map((account) => account.index), [0, 1, 2]);
+    assert.equal(wallet.length, 3);
+  });
+
+  it("should set unique labels and merge metadata", () => {
+    const accs = new Accounts();
+    const wallet = accs.wallet;
+    wallet.add(privateKey);
+    wallet.create(1);
+
+    assert.equal(wallet.setLabel(address, "treasury"), wallet[0]);
+    assert.equal(wallet.get("treasury"), wallet[0]);
+    assert.throws(() => wallet.setLabel(1, "treasury"), /already used/);
+    assert.throws(() => wallet.setLabel(1, address), /not an address/);
+    assert.throws(() => wallet.setLabel("nobody", "x"), UnknownAccountError);
+
+    wallet.setMeta("treasury", { tags: ["cold"], owner: "ops" });
+    wallet.setMeta("treasury", { owner: null, note: "multisig later" });
+    assert.deepEqual(wallet[0].meta, { tags: ["cold"], note: "multisig later" });
+    assert.throws(() => wallet.setMeta("treasury", { label: "x" }), /setLabel/);
+
+    wallet.setLabel("treasury", null);
+    assert.isUndefined(wallet[0].label);
+    assert.isUndefined(wallet.get("treasury"));
+  });
+
+  it("should record how accounts were created", () => {
+    const accs = new Accounts();
+    accs.wallet.create(2, mnemonic);
+
+    assert.equal(accs.wallet[1].meta.path, "m/44'/425'/0'/0'/1'");
+    assert.isString(accs.wallet[1].meta.createdAt);
+  });
+
+  it("should serialize without keys", () => {
+    const accs = new Accounts();
+    accs.wallet.add(privateKey);
+    accs.wallet.setLabel(0, "treasury");
+
+    const json = JSON.stringify(accs.wallet);
+    assert.notInclude(json, privateKey.slice(2));
+    assert.deepEqual(JSON.parse(json), [{ index: 0, address: address, label: "treasury" }]);
+  });
+
+  it("should keep labels and metadata next to the keystore fields", async () => {
+    const accs = new Accounts();
+    accs.wallet.add(privateKey);
+    accs.wallet.create(1);
+    accs.wallet.setLabel(0, "treasury");
+    accs.wallet.setMeta(0, { tags: ["cold"] });
+
+    const encrypted = accs.wallet.encrypt("password", { n: 1024 });
+    assert.deepEqual(encrypted[0].meta, { tags: ["cold"], label: "treasury" });
+    assert.notProperty(encrypted[0].crypto, "meta");
+    assert.equal(Accounts.fromRlp(Accounts.toRlp(encrypted[0])).address, encrypted[0].address);
+
+    const other = new Accounts();
+    other.wallet.decrypt(encrypted, "password");
+    assert.equal(other.wallet.get("treasury").address, address);
+    assert.deepEqual(other.wallet[0].meta, { tags: ["cold"] });
+
+    const reencrypted = accs.wallet.reencrypt(encrypted, "password", "new", { n: 1024 });
+    assert.deepEqual(reencrypted[0].meta, encrypted[0].meta);
+
+    const viaAsync = new Accounts();
+    await viaAsync.wallet.decryptAsync(await accs.wallet.encryptAsync("password", { n: 1024 }), "password");
+    assert.equal(viaAsync.wallet.get("treasury").address, address);
+  });
+
+  it("should add nothing when a label of the loaded accounts is taken", async () => {
+    const source = new Accounts();
+    source.wallet.add(privateKey);
+    source.wallet.create(1);
+    source.wallet.setLabel(1, "treasury");
+    const encrypted = source.wallet.encrypt("password", { n: 1024 });
+    const vault = source.wallet.encryptVault("password", { n: 1024 });
+
+    const accs = new Accounts();
+    accs.wallet.create(1);
+    accs.wallet.setLabel(0, "treasury");
+
+    assert.throws(() => accs.wallet.decrypt(encrypted, "password"), /already used/);
+    assert.throws(() => accs.wallet.decryptVault(vault, "password"), /already used/);
+    try {
+      await accs.wallet.decryptAsync(encrypted, "password");
+      assert.fail("decryptAsync should have failed");
+    } catch (e) {
+      assert.match(e.message, /already used/);
+    }
+    assert.equal(accs.wallet.length, 1);
+
+    // two accounts of the same file can not share a label either
+    encrypted[0].meta = { label: "hot" };
+    encrypted[1].meta = { label: "hot" };
+    assert.throws(() => new Accounts().wallet.decrypt(encrypted, "password"), /already used/);
+  });
+
+  it("should keep labels through save and load", () => {
+    const accs = new Accounts();
+    const storage = new Accounts.storage.MemoryStorage();
+    accs.wallet.setStorage(storage);
+    accs.wallet.add(privateKey);
+    accs.wallet.setLabel(0, "treasury");
+    accs.wallet.save("password");
+
+    const other = new Accounts();
+    other.wallet.setStorage(storage);
+    other.wallet.load("password");
+    assert.equal(other.wallet.get("treasury").address, address);
+  });
+});
@@ -0,0 +1,114 @@
+/// Account Locking Tests
+const assert = require('chai').assert;
+const Accounts = require('../src/index');
+
+const { LockedAccountError } = Accounts.errors;
+
+describe("account locking tests", () => {
+  const privateKey = "0xefbc7a4bb0bf24624f97409473027b62f7ff76e3d232f167e002e1f5872cc2884dcff097bf9912b71d619fc78100de8cf7f55dfddbc2bf5f9fdc36bd670781ee";
+  const address = "0xa0359946e3d0cc409e4079608f4efb7fd19a93f23a968c9130270f36af92141c";
+  const transaction = {
+    to: "0xa050486fc4a5c236a9072961a5b7394885443cd53a704b2630d495d2fc6c268b",
+    data: "",
+    gasPrice: 10000000000,
+    gas: 21000,
+    value: "1000000000000000000",
+    nonce: 1,
+    timestamp: 1535399697
+  };
+  const rawTransaction = "0xf8a001a0a050486fc4a5c236a9072961a5b7394885443cd53a704b2630d495d2fc6c268b880de0b6b3a764000080845b8457118252088800000002540be40001b8604dcff097bf9912b71d619fc78100de8cf7f55dfddbc2bf5f9fdc36bd670781ee84be4c9fdfa713e23c6b1b7f74e77f2a65037b82088611ae496c40ffc182fce2683787da136b19872cc7d9ac95a1c3400e2345202a7b09ec67c876587818010b";
+
+  const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+  const assertLocked = async (promise) => {
+    try {
+      await promise;
+      assert.fail("signing should have failed");
+    } catch (e) {
+      assert.instanceOf(e, LockedAccountError);
+      assert.equal(e.address, address);
+    }
+  };
+
+  it("should only sign while unlocked", async () => {
+    const accs = new Accounts();
+    const account = accs.lockedAccount(accs.encrypt(privateKey, "password", { n: 1024 }));
+
+    assert.equal(account.address, address);
+    assert.isTrue(account.isLocked());
+    assert.isUndefined(account.privateKey);
+    await assertLocked(account.signTransaction(transaction));
+
+    try {
+      await account.unlock("wrong");
+      assert.fail("unlock should have failed");
+    } catch (e) {
+      assert.match(e.message, /wrong password/);
+    }
+    assert.isTrue(account.isLocked());
+
+    assert.equal(await account.unlock("password"), account);
+    assert.isFalse(account.isLocked());
+    assert.equal((await account.signTransaction(transaction)).rawTransaction, rawTransaction);
+    assert.equal(accs.recover(await account.signAsync("hello")), address);
+
+    account.lock();
+    assert.isTrue(account.isLocked());
+    await assertLocked(account.signAsync("hello"));
+  });
+
+  it("should lock again after durationMs", async () => {
+    const accs = new Accounts();
+    const account = accs.lockedAccount(JSON.stringify(accs.encrypt(privateKey, "password", { n: 1024 })));
+
+    await account.unlock("password", { durationMs: 20 });
+    assert.isFalse(account.isLocked());
+    await sleep(50);
+    assert.isTrue(account.isLocked());
+    await assertLocked(account.signTransaction(transaction));
+  });
+
+  it("should zero the key when locking", async () => {
+    const given = Buffer.from(privateKey.slice(2), "hex");
+    const signer = new Accounts.LocalSigner(given);
+    const key = signer._privateKey;
+
+    // the key given is left alone, the signer's copy is its only one
+    assert.equal(given.toString("hex"), privateKey.slice(2));
+    assert.equal(key.toString("hex"), privateKey.slice(2));
+    const accs = new Accounts();
+    assert.equal(accs.recover(await accs.signAsync("hello", signer)), address);
+
+    signer.wipe();
+    assert.isTrue(key.every((b) => b === 0));
+    assert.isNull(signer._privateKey);
+  });
+
+  it("should zero the key of accounts removed from the wallet", async () => {
+    const accs = new Accounts();
+    const account = accs.wallet.add(privateKey);
+    const key = account._privateKey;
+
+    assert.isTrue(accs.wallet.remove(address));
+    assert.isTrue(key.every((b) => b === 0));
+    assert.isNull(account.privateKey);
+    assert.equal(accs.wallet.length, 0);
+    await assertLocked(account.signTransaction(transaction));
+    await assertLocked(account.signAsync("hello"));
+    await assertLocked(Promise.resolve().then(() => account.sign("hello")));
+    await assertLocked(Promise.resolve().then(() => account.encrypt("password")));
+    await assertLocked(account.encryptAsync("password"));
+  });
+
+  it("should keep locked accounts in the wallet", async () => {
+    const accs = new Accounts();
+    const account = accs.wallet.add(accs.lockedAccount(accs.encrypt(privateKey, "password", { n: 1024 })));
+
+    await account.unlock("password");
+    const signed = await accs.wallet.signTransaction(Object.assign({ from: address }, transaction));
+    assert.equal(signed.rawTransaction, rawTransaction);
+
+    accs.wallet.remove(address);
+    assert.isTrue(account.isLocked());
+  });
+});
@@ -0,0 +1,156 @@
+/// Provider Tests
+const assert = require('chai').assert;
+const http = require('http');
+const Accounts = require('../src/index');
+
+const { ProviderError } = Accounts.errors;
+
+describe("provider tests", () => {
+  const privateKey = "0xefbc7a4bb0bf24624f97409473027b62f7ff76e3d232f167e002e1f5872cc2884dcff097bf9912b71d619fc78100de8cf7f55dfddbc2bf5f9fdc36bd670781ee";
+  const address = "0xa0359946e3d0cc409e4079608f4efb7fd19a93f23a968c9130270f36af92141c";
+  const to = "0xa050486fc4a5c236a9072961a5b7394885443cd53a704b2630d495d2fc6c268b";
+
+  // stands in for a kernel, answers from results or with a JSON-RPC error
+  let server, url, requests, results;
+
+  before((done) => {
+    server = http.createServer((req, res) => {
+      const chunks = [];
+      req.on('data', (chunk) => chunks.push(chunk));
+      req.on('end', () => {
+        const payload = JSON.parse(Buffer.concat(chunks).toString());
+        requests.push(payload);
+
+        const response = { jsonrpc: "2.0", id: payload.id };
+        if (results[payload.method] === undefined) {
+          response.error = { code: -32601, message: "Method not found" };
+        } else {
+          response.result = results[payload.method];
+        }
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify(response));
+      });
+    });
+    server.listen(0, '127.0.0.1', () => {
+      url = 'http://127.0.0.1:' + server.address().port;
+      done();
+    });
+  });
+
+  after((done) => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    requests = [];
+    results = {
+      eth_getTransactionCount: "0x1",
+      eth_gasPrice: "0x2540be400",
+      eth_estimateGas: "0x5208",
+      eth_sendRawTransaction: "0x15262747a3886c871f07919ffb7af768a302cfec58241e4f0f9f997a064e3647"
+    };
+  });
+
+  const tx = {
+    to: to,
+    value: "1000000000000000000",
+    timestamp: 1535399697
+  };
+
+  it("should stay offline by default", async () => {
+    const accs = new Accounts();
+    assert.isNull(accs.provider);
+    try {
+      await accs.signTransaction(tx, privateKey);
+      assert.fail("signing should have failed");
+    } catch (e) {
+      assert.match(e.message, /nonce, chainId or gasPrice was not provided/);
+    }
+  });
+
+  it("should fill nonce, gasPrice and gas from the node", async () => {
+    const accs = new Accounts({ provider: url });
+    const signed = await accs.signTransaction(tx, privateKey);
+
+    // same fields as the offline test vector
+    assert.equal(signed.messageHash, "0xfa466752c7a073d6bfd745d89f811a803e2d0654c74230ab01e656eb52fd4369");
+    assert.sameMembers(requests.map((r) => r.method), ["eth_getTransactionCount", "eth_gasPrice", "eth_estimateGas"]);
+
+    const count = requests.find((r) => r.method === "eth_getTransactionCount");
+    assert.deepEqual(count.params, [address, "pending"]);
+
+    const estimate = requests.find((r) => r.method === "eth_estimateGas");
+    assert.deepEqual(estimate.params, [{ from: address, to: to, value: "0xde0b6b3a7640000", data: "0x" }]);
+  });
+
+  it("should only ask for missing fields", async () => {
+    const accs = new Accounts({ provider: url });
+    await accs.signTransaction(Object.assign({ nonce: 5, gas: 30000 }, tx), privateKey);
+    assert.deepEqual(requests.map((r) => r.method), ["eth_gasPrice"]);
+  });
+
+  it("should estimate gas with the encoded contract data", async () => {
+    const calls = [];
+    const accs = new Accounts();
+    accs.setProvider((method, params) => {
+      calls.push({ method: method, params: params });
+      return results[method];
+    });
+
+    await accs.signTransaction({ to: to, method: "increment", types: ["int"], args: [1], nonce: 0, gasPrice: 1 }, privateKey);
+    assert.deepEqual(calls.map((c) => c.method), ["eth_estimateGas"]);
+    assert.equal(calls[0].params[0].data, Accounts.avm.encodeMethodCall("increment", ["int"], [1]));
+    assert.equal(calls[0].params[0].value, "0x0");
+  });
+
+  it("should send the signed transaction", async () => {
+    const accs = new Accounts({ provider: url });
+    const acc = accs.privateKeyToAccount(privateKey);
+    const hash = await acc.sendTransaction(tx);
+
+    assert.equal(hash, results.eth_sendRawTransaction);
+    const sent = requests.find((r) => r.method === "eth_sendRawTransaction");
+    assert.equal(accs.decodeTransaction(sent.params[0]).from, address);
+  });
+
+  it("should reject with ProviderError", async () => {
+    delete results.eth_gasPrice;
+    const accs = new Accounts({ provider: url });
+
+    let callbackError;
+    try {
+      await accs.signTransaction(tx, privateKey, (e) => { callbackError = e; });
+      assert.fail("signing should have failed");
+    } catch (e) {
+      assert.instanceOf(e, ProviderError);
+      assert.equal(e.code, -32601);
+      assert.equal(callbackError, e);
+    }
+
+    try {
+      await new Accounts().sendTransaction(tx, privateKey);
+      assert.fail("sending should have failed");
+    } catch (e) {
+      assert.instanceOf(e, ProviderError);
+      assert.match(e.message, /No provider set/);
+    }
+  });
+
+  it("should reject invalid providers when used, not when set", async () => {
+    const rejected = async (provider, pattern) => {
+      const accs = new Accounts({ provider: provider });
+      accs.setProvider(provider);
+      try {
+        await accs.signTransaction(tx, privateKey);
+        assert.fail("signing should have failed");
+      } catch (e) {
+        assert.instanceOf(e, ProviderError);
+        assert.match(e.message, pattern);
+      }
+    };
+
+    await rejected("not a url", /Invalid provider url/);
+    await rejected("ftp://127.0.0.1:8545", /must be http or https/);
+    await rejected(42, /must be a url/);
+  });
+});
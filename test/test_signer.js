@@ -0,0 +1,228 @@
+/// Signer Tests
+const assert = require('chai').assert;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+const nacl = require('tweetnacl');
+const Accounts = require('../src/index');
+const { handleRequest } = require('../src/accounts-signer');
+
+const { InvalidSignatureError, SignerError } = Accounts.errors;
+
+describe("signer tests", () => {
+  const privateKey = "0xefbc7a4bb0bf24624f97409473027b62f7ff76e3d232f167e002e1f5872cc2884dcff097bf9912b71d619fc78100de8cf7f55dfddbc2bf5f9fdc36bd670781ee";
+  const address = "0xa0359946e3d0cc409e4079608f4efb7fd19a93f23a968c9130270f36af92141c";
+  const to = "0xa050486fc4a5c236a9072961a5b7394885443cd53a704b2630d495d2fc6c268b";
+  const transaction = {
+    to: to,
+    data: "",
+    gasPrice: 10000000000,
+    gas: 21000,
+    value: "1000000000000000000",
+    nonce: 1,
+    timestamp: 1535399697
+  };
+  const rawTransaction = "0xf8a001a0a050486fc4a5c236a9072961a5b7394885443cd53a704b2630d495d2fc6c268b880de0b6b3a764000080845b8457118252088800000002540be40001b8604dcff097bf9912b71d619fc78100de8cf7f55dfddbc2bf5f9fdc36bd670781ee84be4c9fdfa713e23c6b1b7f74e77f2a65037b82088611ae496c40ffc182fce2683787da136b19872cc7d9ac95a1c3400e2345202a7b09ec67c876587818010b";
+
+  // keeps the key to itself, like a device or a daemon would
+  const customSigner = (secretKey) => {
+    const keyPair = nacl.sign.keyPair.fromSecretKey(Buffer.from(secretKey.slice(2), "hex"));
+    return {
+      getPublicKey: async () => "0x" + Buffer.from(keyPair.publicKey).toString("hex"),
+      signHash: async (hash) => Buffer.from(nacl.sign.detached(hash, keyPair.secretKey))
+    };
+  };
+
+  it("should sign the same transaction with a signer as with the key", async () => {
+    const accs = new Accounts();
+    const signer = customSigner(privateKey);
+
+    assert.isTrue(Accounts.isSigner(signer));
+    assert.isFalse(Accounts.isSigner(privateKey));
+
+    const fromKey = await accs.signTransaction(transaction, privateKey);
+    const fromSigner = await accs.signTransaction(transaction, signer);
+    assert.deepEqual(fromSigner, fromKey);
+
+    const deployment = await accs.signTransaction(Object.assign({}, transaction, { to: undefined }), signer);
+    assert.equal(deployment.contractAddress, accs.computeContractAddress(address, 1));
+  });
+
+  it("should sign messages with a signer", async () => {
+    const accs = new Accounts();
+    const signed = await accs.signAsync("hello", new Accounts.LocalSigner(privateKey));
+
+    assert.deepEqual(signed, accs.sign("hello", privateKey));
+    assert.deepEqual(await accs.signAsync("hello", privateKey), signed);
+    assert.equal(accs.recover(signed), address);
+
+    // sign always returns the result itself, signers need signAsync
+    assert.throws(() => accs.sign("hello", customSigner(privateKey)), /use signAsync/);
+    const account = await accs.signerToAccount(customSigner(privateKey));
+    assert.isUndefined(account.sign);
+    assert.deepEqual(await account.signAsync("hello"), signed);
+  });
+
+  it("should reject signatures that do not verify", async () => {
+    const accs = new Accounts();
+    const signer = customSigner(privateKey);
+    let callbackError;
+
+    signer.signHash = async () => Buffer.alloc(64, 1);
+    try {
+      await accs.signTransaction(transaction, signer, (e) => { callbackError = e; });
+      assert.fail("signing should have failed");
+    } catch (e) {
+      assert.instanceOf(e, InvalidSignatureError);
+      assert.equal(callbackError, e);
+    }
+
+    signer.signHash = async () => "0x1234";
+    try {
+      await accs.signTransaction(transaction, signer);
+      assert.fail("signing should have failed");
+    } catch (e) {
+      assert.instanceOf(e, InvalidSignatureError);
+      assert.match(e.message, /malformed signature/);
+    }
+  });
+
+  it("should add signer accounts to the wallet", async () => {
+    const accs = new Accounts();
+    accs.wallet.add(accs.create());
+    const account = await accs.wallet.addSigner(customSigner(privateKey));
+
+    assert.equal(account.address, address);
+    assert.isUndefined(account.privateKey);
+    assert.isUndefined(account.encrypt);
+    assert.equal(accs.wallet.length, 2);
+    assert.equal(await accs.wallet.addSigner(customSigner(privateKey)), account);
+
+    const signed = await accs.wallet.signTransaction(Object.assign({ from: address }, transaction));
+    assert.equal(signed.rawTransaction, rawTransaction);
+
+    const batch = await accs.wallet.signBatch([{ to: to, value: 1 }], { from: address, nonce: 0, defaults: { gasPrice: 1, gas: 21000 }, verify: true });
+    assert.isNull(batch.results[0].error);
+
+    assert.throws(() => accs.wallet.signMessage(address, "hello"), /signMessageAsync/);
+    assert.equal(accs.recover(await accs.wallet.signMessageAsync(address, "hello")), address);
+
+    // only the account holding its key is encrypted
+    assert.lengthOf(accs.wallet.encrypt("password", { n: 1024 }), 1);
+  });
+
+  it("should answer requests that are not objects", async () => {
+    const local = new Accounts.LocalSigner(privateKey);
+
+    for (const line of ["null", "42", "[]", "\"signHash\""]) {
+      assert.deepEqual(JSON.parse(await handleRequest(local, line)), { id: null, error: "Request must be an object" });
+    }
+  });
+
+  it("should keep serving after a bad line", async () => {
+    const input = new PassThrough();
+    const output = new PassThrough();
+    const responses = [];
+    output.on("data", (chunk) => responses.push(...chunk.toString().trim().split("\n")));
+
+    const served = Accounts.RemoteSigner.serve(new Accounts.LocalSigner(privateKey), input, output);
+    input.write("null\n{\n");
+    input.end('{"id":1,"method":"getPublicKey"}\n');
+    await served;
+    await new Promise((resolve) => setImmediate(resolve));
+
+    assert.lengthOf(responses, 3);
+    assert.equal(JSON.parse(responses[2]).id, 1);
+  });
+
+  describe("remote signer", () => {
+    const cli = path.join(__dirname, "..", "bin", "aion-keystore.js");
+    let signer;
+
+    beforeEach(() => {
+      signer = Accounts.RemoteSigner.spawn(process.execPath, [cli, "serve-signer", "--key-env", "AION_KEY"], {
+        env: Object.assign({}, process.env, { AION_KEY: privateKey })
+      });
+    });
+
+    afterEach(() => signer.close());
+
+    it("should sign through a signer process", async () => {
+      const accs = new Accounts();
+      const account = await accs.signerToAccount(signer);
+
+      assert.equal(account.address, address);
+      assert.equal((await account.signTransaction(transaction)).rawTransaction, rawTransaction);
+
+      const envelope = await accs.exportUnsigned(transaction, address);
+      const signed = await account.signEnvelope(envelope);
+      assert.equal(accs.verifySignedEnvelope(signed, envelope), rawTransaction);
+    });
+
+    it("should survive a request that is not an object", async () => {
+      signer.process.stdin.write("null\n");
+      assert.equal(await new Accounts().signerToAccount(signer).then((account) => account.address), address);
+      assert.isNull(signer.process.exitCode);
+    });
+
+    it("should fail pending and later requests once closed", async () => {
+      const pending = signer.signHash(Buffer.alloc(32));
+      signer.close();
+
+      try {
+        await pending;
+        assert.fail("signing should have failed");
+      } catch (e) {
+        assert.instanceOf(e, SignerError);
+      }
+
+      try {
+        await new Accounts().signTransaction(transaction, signer);
+        assert.fail("signing should have failed");
+      } catch (e) {
+        assert.instanceOf(e, SignerError);
+        assert.match(e.message, /closed/);
+      }
+    });
+  });
+
+  describe("signer socket", () => {
+    let dir, server;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "aion-signer-"));
+    });
+
+    afterEach(() => {
+      if (server) {
+        server.close();
+        server = null;
+      }
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("should create the socket for its owner only", async () => {
+      const socket = path.join(dir, "signer.sock");
+      server = await Accounts.RemoteSigner.listen(new Accounts.LocalSigner(privateKey), socket);
+      assert.equal(fs.statSync(socket).mode & 0o777, 0o600);
+
+      const remote = await Accounts.RemoteSigner.connect(socket);
+      try {
+        assert.equal((await new Accounts().signTransaction(transaction, remote)).rawTransaction, rawTransaction);
+      } finally {
+        remote.close();
+      }
+    });
+
+    it("should not listen on TCP ports", async () => {
+      try {
+        await Accounts.RemoteSigner.listen(new Accounts.LocalSigner(privateKey), 8545);
+        assert.fail("listen should have failed");
+      } catch (e) {
+        assert.instanceOf(e, SignerError);
+        assert.match(e.message, /unix socket/);
+      }
+    });
+  });
+});
@@ -0,0 +1,69 @@
+/// Wallet Storage Adapter Tests
+const assert = require('chai').assert;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Accounts = require('../src/index');
+
+const { MemoryStorage, FileStorage } = Accounts.storage;
+
+describe("wallet storage tests", () => {
+  it("should throw when no storage is available", () => {
+    const accs = new Accounts();
+    assert.throws(() => accs.wallet.save("password"), /setStorage/);
+    assert.throws(() => accs.wallet.setStorage({}), /getItem/);
+  });
+
+  it("should save and load with the memory adapter", () => {
+    const storage = new MemoryStorage();
+    const accs = new Accounts();
+    accs.wallet.setStorage(storage).create(1);
+    assert.isTrue(accs.wallet.save("password"));
+
+    const other = new Accounts();
+    other.wallet.setStorage(storage).load("password");
+    assert.equal(other.wallet[0].address, accs.wallet[0].address);
+  }).timeout(5000);
+
+  it("should save and load with the file adapter", () => {
+    const dir = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'aion-storage-')), 'wallets');
+    const accs = new Accounts();
+    accs.wallet.setStorage(new FileStorage(dir)).create(1);
+    accs.wallet.save("password", "team/ops");
+
+    assert.deepEqual(fs.readdirSync(dir), ["team%2Fops.json"]);
+
+    const other = new Accounts();
+    other.wallet.setStorage(new FileStorage(dir)).load("password", "team/ops");
+    assert.equal(other.wallet[0].address, accs.wallet[0].address);
+
+    new FileStorage(dir).removeItem("team/ops");
+    fs.rmdirSync(dir);
+    fs.rmdirSync(path.dirname(dir));
+  }).timeout(5000);
+
+  it("should return promises for async adapters", async () => {
+    const items = {};
+    const asyncStorage = {
+      getItem: (key) => Promise.resolve(items[key] || null),
+      setItem: (key, value) => Promise.resolve().then(() => { items[key] = value; }),
+      removeItem: (key) => Promise.resolve().then(() => { delete items[key]; })
+    };
+
+    const accs = new Accounts();
+    accs.wallet.setStorage(asyncStorage).create(1);
+    assert.isTrue(await accs.wallet.save("password"));
+
+    const other = new Accounts();
+    const wallet = await other.wallet.setStorage(asyncStorage).load("password");
+    assert.equal(wallet[0].address, accs.wallet[0].address);
+  }).timeout(5000);
+
+  it("should not swallow corrupted wallets", () => {
+    const storage = new MemoryStorage();
+    storage.setItem("web3js_wallet", "[{ truncated");
+
+    const accs = new Accounts();
+    assert.throws(() => accs.wallet.setStorage(storage).load("password"), /not valid JSON/);
+  });
+});
@@ -0,0 +1,165 @@
+/// Transaction Builder Tests
+const assert = require('chai').assert;
+const BN = require('bn.js');
+const Accounts = require('../src/index');
+
+const { Transaction } = Accounts;
+const { TransactionValidationError } = Accounts.errors;
+
+describe("transaction tests", () => {
+  const privateKey = "0xefbc7a4bb0bf24624f97409473027b62f7ff76e3d232f167e002e1f5872cc2884dcff097bf9912b71d619fc78100de8cf7f55dfddbc2bf5f9fdc36bd670781ee";
+  const expectedEncodedTransaction = "0xf8a001a0a050486fc4a5c236a9072961a5b7394885443cd53a704b2630d495d2fc6c268b880de0b6b3a764000080845b8457118252088800000002540be40001b8604dcff097bf9912b71d619fc78100de8cf7f55dfddbc2bf5f9fdc36bd670781ee84be4c9fdfa713e23c6b1b7f74e77f2a65037b82088611ae496c40ffc182fce2683787da136b19872cc7d9ac95a1c3400e2345202a7b09ec67c876587818010b";
+  const fields = {
+    to: "0xa050486fc4a5c236a9072961a5b7394885443cd53a704b2630d495d2fc6c268b",
+    data: "",
+    gasPrice: 10000000000,
+    gas: 21000,
+    value: new BN("1000000000000000000"),
+    nonce: 1,
+    timestamp: 1535399697
+  };
+
+  const fieldError = (fn) => {
+    try {
+      fn();
+    } catch (e) {
+      assert.instanceOf(e, TransactionValidationError);
+      return e.field;
+    }
+    assert.fail("expected a TransactionValidationError");
+  };
+
+  it("should hash the same payload as signTransaction", () => {
+    const tx = new Transaction(fields);
+    assert.equal(tx.hash(), "0xfa466752c7a073d6bfd745d89f811a803e2d0654c74230ab01e656eb52fd4369");
+    assert.equal(tx.type, "0x1");
+    assert.isFalse(tx.isContractCreation());
+  });
+
+  it("should be accepted by signTransaction", async () => {
+    const accs = new Accounts();
+    const acc = accs.privateKeyToAccount(privateKey);
+    const tx = new Transaction(fields);
+
+    assert.equal((await acc.signTransaction(tx)).rawTransaction, expectedEncodedTransaction);
+    assert.equal((await tx.sign(acc)).rawTransaction, expectedEncodedTransaction);
+  });
+
+  it("should serialize to JSON and back", () => {
+    const tx = new Transaction(fields);
+    const json = JSON.parse(JSON.stringify(tx));
+    assert.deepEqual(json, {
+      nonce: "0x1",
+      to: fields.to,
+      value: "0xde0b6b3a7640000",
+      data: "0x",
+      timestamp: "0x5b845711",
+      gas: "0x5208",
+      gasPrice: "0x2540be400",
+      type: "0x1"
+    });
+    assert.equal(new Transaction(json).hash(), tx.hash());
+  });
+
+  it("should not modify the given fields", () => {
+    const copy = Object.assign({}, fields);
+    new Transaction(copy);
+    assert.deepEqual(copy, fields);
+  });
+
+  it("should default to a contract creation without to", () => {
+    const tx = new Transaction({ nonce: 0, gas: 300000, gasPrice: 10000000000, data: "0x6060", type: Transaction.TYPES.AVM_CREATE });
+    assert.isTrue(tx.isContractCreation());
+    assert.equal(tx.type, "0x2");
+    assert.match(tx.timestamp, /^0x[0-9a-f]+$/);
+  });
+
+  it("should name the invalid field", () => {
+    assert.equal(fieldError(() => new Transaction(Object.assign({}, fields, { nonce: undefined }))), "nonce");
+    assert.equal(fieldError(() => new Transaction(Object.assign({}, fields, { gas: -1 }))), "gas");
+    assert.equal(fieldError(() => new Transaction(Object.assign({}, fields, { gasPrice: "lots" }))), "gasPrice");
+    assert.equal(fieldError(() => new Transaction(Object.assign({}, fields, { to: "0x1234" }))), "to");
+    assert.equal(fieldError(() => new Transaction(Object.assign({}, fields, { data: "0xzz" }))), "data");
+    assert.equal(fieldError(() => new Transaction(Object.assign({}, fields, { type: 7 }))), "type");
+  });
+
+  it("should reject invalid fields through signTransaction", async () => {
+    const accs = new Accounts();
+    try {
+      await accs.signTransaction(Object.assign({}, fields, { gas: undefined }), privateKey);
+      assert.fail("signing should have failed");
+    } catch (e) {
+      assert.instanceOf(e, TransactionValidationError);
+      assert.equal(e.field, "gas");
+    }
+  });
+
+  describe("energy", () => {
+    const { ENERGY } = Transaction;
+
+    it("should compute the intrinsic energy", () => {
+      const accs = new Accounts();
+      assert.equal(accs.intrinsicEnergy(fields), 21000);
+      assert.equal(accs.intrinsicEnergy({ to: fields.to, data: "0x0001ff00" }), 21000 + 2 * 4 + 2 * 64);
+      assert.equal(accs.intrinsicEnergy({ data: "0x6060" }), 21000 + 200000 + 2 * 64);
+      assert.equal(new Transaction(fields).intrinsicEnergy(), ENERGY.TRANSACTION);
+    });
+
+    it("should compute the max fee", () => {
+      const accs = new Accounts();
+      assert.equal(accs.maxFee(fields).toString(), "210000000000000");
+      assert.equal(new Transaction(Object.assign({}, fields, { gasLimit: 2, gas: undefined })).maxFee().toString(), "20000000000");
+    });
+
+    it("should reject gas outside the limits in strict mode", async () => {
+      const lenient = new Accounts();
+      const strict = new Accounts({ strictEnergy: true });
+      const tooLow = Object.assign({}, fields, { data: "0x01" });
+
+      await lenient.signTransaction(tooLow, privateKey);
+      assert.equal((await strict.signTransaction(fields, privateKey)).rawTransaction, expectedEncodedTransaction);
+
+      const rejected = async (accs, tx, pattern) => {
+        try {
+          await accs.signTransaction(tx, privateKey);
+          assert.fail("signing should have failed");
+        } catch (e) {
+          assert.instanceOf(e, TransactionValidationError);
+          assert.equal(e.field, "gas");
+          assert.match(e.message, pattern);
+        }
+      };
+
+      await rejected(strict, tooLow, /below the intrinsic energy 21064/);
+      await rejected(strict, Object.assign({}, fields, { gas: ENERGY.MAX_CALL + 1 }), /above the limit 2000000/);
+      await strict.signTransaction({ data: "0x6060", gas: ENERGY.MAX_CREATE, gasPrice: 1, nonce: 0 }, privateKey);
+      await rejected(new Accounts({ strictEnergy: { maxEnergy: 30000 } }), Object.assign({}, fields, { gas: 30001 }), /above the limit 30000/);
+    });
+
+    it("should take strict mode per transaction", async () => {
+      const lenient = new Accounts();
+      const tooLow = Object.assign({}, fields, { data: "0x01" });
+
+      try {
+        await lenient.signTransaction(tooLow, privateKey, { strictEnergy: true });
+        assert.fail("signing should have failed");
+      } catch (e) {
+        assert.instanceOf(e, TransactionValidationError);
+      }
+      // false overrides the constructor option
+      await new Accounts({ strictEnergy: true }).signTransaction(tooLow, privateKey, { strictEnergy: false });
+
+      // the callback can still come third, or fourth after the options
+      const viaCallback = await new Promise((resolve) => {
+        lenient.privateKeyToAccount(privateKey).signTransaction(tooLow, { strictEnergy: true }, (e) => resolve(e)).catch(() => {});
+      });
+      assert.instanceOf(viaCallback, TransactionValidationError);
+      const signed = await new Promise((resolve) => lenient.signTransaction(fields, privateKey, (e, result) => resolve(result)));
+      assert.equal(signed.rawTransaction, expectedEncodedTransaction);
+
+      const batch = await lenient.signBatch([tooLow, fields].map(({ nonce, ...tx }) => tx), privateKey, { nonce: 1, strictEnergy: true });
+      assert.instanceOf(batch.results[0].error, TransactionValidationError);
+      assert.isNull(batch.results[1].error);
+    });
+  });
+});
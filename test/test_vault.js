@@ -0,0 +1,154 @@
+/// Wallet Vault Tests
+const assert = require('chai').assert;
+const Accounts = require('../src/index');
+
+const { VaultError, UnknownAccountError } = Accounts.errors;
+
+describe("wallet vault tests", () => {
+  const privateKey = "0xefbc7a4bb0bf24624f97409473027b62f7ff76e3d232f167e002e1f5872cc2884dcff097bf9912b71d619fc78100de8cf7f55dfddbc2bf5f9fdc36bd670781ee";
+  const address = "0xa0359946e3d0cc409e4079608f4efb7fd19a93f23a968c9130270f36af92141c";
+  const options = { n: 1024 };
+
+  const walletOf = (accs, count) => {
+    accs.wallet.add(privateKey);
+    accs.wallet.create(count - 1);
+    accs.wallet[0].label = "treasury";
+    accs.wallet[0].meta = { tags: ["cold"] };
+    return accs.wallet;
+  };
+
+  it("should encrypt every account into one vault and back", () => {
+    const accs = new Accounts();
+    const wallet = walletOf(accs, 3);
+    const vault = wallet.encryptVault("password", options);
+
+    assert.equal(vault.kind, "vault");
+    assert.equal(vault.kdfparams.n, 1024);
+    assert.lengthOf(vault.entries, 3);
+    assert.equal(vault.entries[0].address, address);
+    // labels and keys are sealed, only addresses are readable
+    assert.notInclude(JSON.stringify(vault), "treasury");
+    assert.notInclude(JSON.stringify(vault), privateKey.slice(2));
+    // every entry has its own nonce
+    assert.notEqual(vault.entries[0].nonce, vault.entries[1].nonce);
+
+    const other = new Accounts();
+    other.wallet.decryptVault(JSON.stringify(vault), "password");
+    assert.equal(other.wallet.length, 3);
+    assert.equal(other.wallet[0].privateKey, privateKey);
+    assert.equal(other.wallet[0].label, "treasury");
+    assert.deepEqual(other.wallet[0].meta, { tags: ["cold"] });
+    assert.equal(other.wallet[2].address, wallet[2].address);
+  });
+
+  it("should encrypt and decrypt without blocking", async () => {
+    const accs = new Accounts();
+    const reports = [];
+    const vault = await walletOf(accs, 2).encryptVaultAsync("password", Object.assign({ onProgress: (p) => reports.push(p) }, options));
+
+    assert.equal(reports[reports.length - 1].percent, 100);
+
+    const other = new Accounts();
+    await other.wallet.decryptVaultAsync(vault, "password");
+    assert.equal(other.wallet[address].label, "treasury");
+  });
+
+  it("should detect a wrong password and modified entries", () => {
+    const accs = new Accounts();
+    const vault = walletOf(accs, 2).encryptVault("password", options);
+
+    assert.throws(() => new Accounts().wallet.decryptVault(vault, "wrong"), VaultError, /wrong password/);
+
+    const tampered = JSON.parse(JSON.stringify(vault));
+    const ciphertext = tampered.entries[1].ciphertext;
+    tampered.entries[1].ciphertext = (parseInt(ciphertext.slice(0, 2), 16) ^ 1).toString(16).padStart(2, "0") + ciphertext.slice(2);
+    assert.throws(() => new Accounts().wallet.decryptVault(tampered, "password"), VaultError, /modified/);
+
+    // entries can not be moved to another address
+    const swapped = JSON.parse(JSON.stringify(vault));
+    swapped.entries[1].address = vault.entries[0].address;
+    assert.throws(() => new Accounts().wallet.decryptVault(swapped, "password"), VaultError, /another account/);
+
+    assert.throws(() => new Accounts().wallet.decryptVault([], "password"), VaultError, /Expected a wallet vault/);
+    assert.throws(() => new Accounts().wallet.decryptVault(Object.assign({}, vault, { version: 2 }), "password"), VaultError, /version 2/);
+  });
+
+  it("should reject malformed vaults before deriving a key", () => {
+    const accs = new Accounts();
+    const vault = walletOf(accs, 2).encryptVault("password", options);
+    const broken = (change) => {
+      const copy = JSON.parse(JSON.stringify(vault));
+      change(copy);
+      return copy;
+    };
+
+    const cases = [
+      [(v) => { v.kdfparams.n = Math.pow(2, 30); }, /kdfparams\.n/],
+      [(v) => { v.kdfparams.n = 1000; }, /power of 2/],
+      [(v) => { v.kdfparams.n = Math.pow(2, 20); v.kdfparams.r = 32; }, /too expensive/],
+      [(v) => { v.kdfparams.n = Math.pow(2, 20); v.kdfparams.r = 8; v.kdfparams.p = 16; }, /too expensive/],
+      [(v) => { v.kdfparams.dklen = 16; }, /kdfparams\.dklen/],
+      [(v) => { delete v.kdfparams.salt; }, /kdfparams\.salt/],
+      [(v) => { v.check.nonce = "abcd"; }, /check/],
+      [(v) => { delete v.entries[1].ciphertext; }, /entry 1/],
+      [(v) => { v.entries[0].nonce = "zz"; }, /entry 0/],
+      [(v) => { v.entries[1] = null; }, /entry 1/],
+      [(v) => { v.entries[0].address = v.entries[0].address.slice(2); }, /address/]
+    ];
+    cases.forEach(([change, message]) => {
+      const copy = broken(change);
+      assert.throws(() => new Accounts().wallet.decryptVault(copy, "password"), VaultError, message);
+      assert.throws(() => accs.exportVaultEntry(copy, address, "password"), VaultError, message);
+    });
+  });
+
+  it("should export and import single entries as keystores", () => {
+    const accs = new Accounts();
+    const vault = walletOf(accs, 2).encryptVault("password", options);
+
+    const keystore = accs.exportVaultEntry(vault, address.toUpperCase().replace("0X", "0x"), "password", { n: 1024, keystorePassword: "other" });
+    assert.equal(keystore.version, 3);
+    assert.equal(accs.decrypt(keystore, "other").address, address);
+    assert.deepEqual(keystore.meta, { tags: ["cold"], label: "treasury" });
+
+    // and back, the label comes along
+    const moved = new Accounts().importVaultEntry(new Accounts().wallet.encryptVault("password", options), keystore, "password", { keystorePassword: "other" });
+    const imported = new Accounts();
+    imported.wallet.decryptVault(moved, "password");
+    assert.equal(imported.wallet.get("treasury").address, address);
+    assert.deepEqual(imported.wallet[0].meta, { tags: ["cold"] });
+    assert.throws(() => accs.exportVaultEntry(vault, accs.create().address, "password"), UnknownAccountError);
+    assert.throws(() => accs.exportVaultEntry(vault, address, "wrong"), VaultError);
+
+    const added = accs.create();
+    const bigger = accs.importVaultEntry(vault, added.encrypt("keystore", options), "password", {
+      keystorePassword: "keystore",
+      label: "hot"
+    });
+    assert.lengthOf(vault.entries, 2);
+    assert.lengthOf(bigger.entries, 3);
+
+    const other = new Accounts();
+    other.wallet.decryptVault(bigger, "password");
+    assert.equal(other.wallet[added.address].label, "hot");
+
+    // importing the same address replaces its entry
+    const replaced = accs.importVaultEntry(bigger, added.encrypt("password", options), "password");
+    assert.lengthOf(replaced.entries, 3);
+  });
+
+  it("should save and load a vault", () => {
+    const accs = new Accounts();
+    const storage = new Accounts.storage.MemoryStorage();
+    accs.wallet.setStorage(storage);
+    walletOf(accs, 2).save("password", "vault", Object.assign({ vault: true }, options));
+
+    assert.equal(JSON.parse(storage.getItem("vault")).kind, "vault");
+
+    const other = new Accounts();
+    other.wallet.setStorage(storage);
+    other.wallet.load("password", "vault");
+    assert.equal(other.wallet.length, 2);
+    assert.equal(other.wallet[0].label, "treasury");
+  });
+});
@@ -0,0 +1,103 @@
+/// Wallet Signing Tests
+const assert = require('chai').assert;
+const Accounts = require('../src/index');
+const { inputCallFormatter } = require('../src/accounts-format');
+
+const { UnknownAccountError, TransactionValidationError } = Accounts.errors;
+
+describe("wallet signing tests", () => {
+  const privateKey = "0xefbc7a4bb0bf24624f97409473027b62f7ff76e3d232f167e002e1f5872cc2884dcff097bf9912b71d619fc78100de8cf7f55dfddbc2bf5f9fdc36bd670781ee";
+  const address = "0xa0359946e3d0cc409e4079608f4efb7fd19a93f23a968c9130270f36af92141c";
+  const to = "0xa050486fc4a5c236a9072961a5b7394885443cd53a704b2630d495d2fc6c268b";
+  const expectedEncodedTransaction = "0xf8a001a0a050486fc4a5c236a9072961a5b7394885443cd53a704b2630d495d2fc6c268b880de0b6b3a764000080845b8457118252088800000002540be40001b8604dcff097bf9912b71d619fc78100de8cf7f55dfddbc2bf5f9fdc36bd670781ee84be4c9fdfa713e23c6b1b7f74e77f2a65037b82088611ae496c40ffc182fce2683787da136b19872cc7d9ac95a1c3400e2345202a7b09ec67c876587818010b";
+  const transaction = {
+    from: address,
+    to: to,
+    data: "",
+    gasPrice: 10000000000,
+    gas: 21000,
+    value: "1000000000000000000",
+    nonce: 1,
+    timestamp: 1535399697
+  };
+
+  const walletWith = () => {
+    const accs = new Accounts();
+    accs.wallet.add(privateKey);
+    accs.wallet.create(1);
+    return accs;
+  };
+
+  it("should format from in call objects", () => {
+    assert.equal(inputCallFormatter({ from: address.toUpperCase().replace("0X", "0x") }).from, address);
+  });
+
+  it("should sign transactions with the account named by from", async () => {
+    const accs = walletWith();
+    assert.equal((await accs.wallet.signTransaction(transaction)).rawTransaction, expectedEncodedTransaction);
+
+    // any case and the checksummed form name the same account
+    const checksummed = Object.assign({}, transaction, { from: accs.toChecksumAddress(address) });
+    assert.equal((await accs.wallet.signTransaction(checksummed)).rawTransaction, expectedEncodedTransaction);
+  });
+
+  it("should reject unknown or missing senders", async () => {
+    const accs = walletWith();
+    let callbackError;
+
+    try {
+      await accs.wallet.signTransaction(Object.assign({}, transaction, { from: to }), (e) => { callbackError = e; });
+      assert.fail("signing should have failed");
+    } catch (e) {
+      assert.instanceOf(e, UnknownAccountError);
+      assert.equal(e.address, to);
+      assert.equal(callbackError, e);
+    }
+
+    try {
+      await accs.wallet.signTransaction(Object.assign({}, transaction, { from: undefined }));
+      assert.fail("signing should have failed");
+    } catch (e) {
+      assert.instanceOf(e, TransactionValidationError);
+      assert.equal(e.field, "from");
+    }
+  });
+
+  it("should sign messages", () => {
+    const accs = walletWith();
+    const signed = accs.wallet.signMessage(address, "hello");
+    assert.equal(accs.recover(signed), address);
+    assert.equal(accs.recover(accs.wallet.signMessage(1, "hello")), accs.wallet[1].address);
+    assert.throws(() => accs.wallet.signMessage(to, "hello"), UnknownAccountError);
+  });
+
+  it("should keep a nonce sequence per sender in batches", async () => {
+    const accs = walletWith();
+    const other = accs.wallet[1].address;
+    const txs = [
+      { to: to, value: 1 },
+      { to: to, value: 2, from: other },
+      { to: to, value: 3, from: to },
+      { to: to, value: 4 }
+    ];
+
+    const batch = await accs.wallet.signBatch(txs, {
+      from: address,
+      nonce: { [address]: 10, [accs.toChecksumAddress(other)]: 0 },
+      defaults: { gas: 21000, gasPrice: 1 }
+    });
+
+    assert.deepEqual(batch.results.map((r) => r.index), [0, 1, 2, 3]);
+    assert.deepEqual(batch.results.map((r) => r.nonce), [10, 0, null, 11]);
+    assert.instanceOf(batch.results[2].error, UnknownAccountError);
+    assert.equal(accs.recoverTransaction(batch.results[1].result.rawTransaction), other);
+    assert.deepEqual(batch.nextNonce, { [address]: 12, [other]: 1 });
+
+    try {
+      await accs.wallet.signBatch(txs, { from: address, nonce: 0 });
+      assert.fail("signing should have failed");
+    } catch (e) {
+      assert.match(e.message, /2 senders/);
+    }
+  });
+});